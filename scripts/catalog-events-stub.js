@@ -0,0 +1,76 @@
+/**
+ * Catalog Events Stub
+ * Local stand-in for the backend's `/api/config/events` Server-Sent Events
+ * stream, for testing live catalog updates without a backend deploy.
+ *
+ *   npm run catalog-events:stub [-- path/to/config.json]
+ *   CATALOG_EVENTS_TARGET=http://localhost:3001 npm run dev
+ *
+ * Press Enter (or POST /trigger) to broadcast a `catalog-updated` event.
+ * When a config file is given, its contents are re-read and pushed with the
+ * event, so editing the file and pressing Enter simulates a catalog edit.
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+
+const PORT = Number(process.env.PORT) || 3001;
+const configFile = process.argv[2] || null;
+const clients = new Set();
+let eventId = 0;
+
+function broadcast() {
+  const payload = { type: 'catalog-updated' };
+  if (configFile) {
+    try {
+      payload.config = JSON.parse(readFileSync(configFile, 'utf8'));
+    } catch (e) {
+      console.error(`[stub] Cannot read ${configFile}: ${e.message}`);
+      return;
+    }
+  }
+
+  eventId++;
+  const message = `id: ${eventId}\nevent: catalog\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const res of clients) res.write(message);
+  console.log(`[stub] Sent catalog-updated #${eventId} to ${clients.size} client(s)`);
+}
+
+const server = createServer((req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method === 'POST' && req.url === '/trigger') {
+    broadcast();
+    res.writeHead(204).end();
+    return;
+  }
+
+  if (req.url.startsWith('/api/config/events')) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    clients.add(res);
+    console.log(`[stub] Client connected (${clients.size})`);
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      clients.delete(res);
+      console.log(`[stub] Client disconnected (${clients.size})`);
+    });
+    return;
+  }
+
+  res.writeHead(404).end();
+});
+
+server.listen(PORT, () => {
+  console.log(`[stub] Catalog events on http://localhost:${PORT}/api/config/events`);
+  console.log('[stub] Press Enter to send catalog-updated');
+});
+
+process.stdin.on('data', broadcast);
@@ -55,6 +55,14 @@ document.addEventListener('DOMContentLoaded', () => {
     this.detectedGroup.visible  = (state === 'detected');
   },
 
+  /** Tint the reticle amber when the model's footprint would overhang the plane (false) */
+  setFootprintFits: function(fits) {
+    const color = fits === false ? 0xffa726 : 0xffffff;
+    this.reticleRoot.traverse((child) => {
+      if (child.material) child.material.color.setHex(color);
+    });
+  },
+
   // ── Detecting state: single hexagon outline (Image 2) ──────────────
   _buildDetectingReticle: function() {
     const group = new THREE.Group();
@@ -468,48 +476,4 @@ AFRAME.registerComponent('layer-toggle', {
   }
 });
 
-// Anchor Component for persistent placement
-AFRAME.registerComponent('ar-anchor', {
-  schema: {
-    persistent: {default: true}
-  },
-  
-  init: function() {
-    this.anchor = null;
-    
-    this.el.addEventListener('ar-hit-detected', (event) => {
-      this.createAnchor(event.detail.position);
-    });
-  },
-  
-  async createAnchor(position) {
-    const session = this.el.sceneEl.renderer.xr.getSession();
-    
-    if (!session || !session.createAnchor) {
-      console.warn('Anchors not supported in this session');
-      return;
-    }
-    
-    try {
-      // Create anchor at position
-      const anchorSpace = await session.createAnchor(
-        new XRRigidTransform(position),
-        session.referenceSpace
-      );
-      
-      this.anchor = anchorSpace;
-      console.log('Anchor created at position:', position);
-      
-    } catch (error) {
-      console.error('Failed to create anchor:', error);
-    }
-  },
-  
-  remove: function() {
-    if (this.anchor) {
-      this.anchor.delete();
-      this.anchor = null;
-    }
-  }
-});
 }); // Close DOMContentLoaded listener
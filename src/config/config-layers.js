@@ -0,0 +1,196 @@
+/**
+ * Config Layers
+ * Resolves the app config from ordered layers and remembers which layer
+ * supplied each value:
+ *
+ *   fallback → backend (/api/config) → local settings → URL query overrides
+ *
+ * Every section is deep-merged, so a backend that sends a partial `gestures`
+ * object only overrides the keys it sends. Arrays (e.g. `models`) replace.
+ *
+ * URL overrides use dotted paths, e.g. `?gestures.scale.maxFactor=4`.
+ * `?config.save` stores the URL overrides as local settings on this device,
+ * `?config.reset` clears them.
+ */
+
+const LOCAL_OVERRIDES_KEY = 'webar:config-overrides';
+
+// Only these layers may override the models list
+const MODEL_LAYERS = new Set(['fallback', 'backend']);
+
+// Keys that would reach Object.prototype when written or merged
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Deep-merge config layers in order.
+ * @param {Array<{name: string, values: object}>} layers - Lowest priority first
+ * @returns {{config: object, provenance: Map<string, string>}} Merged config and
+ *   a map of dotted value path → name of the layer that supplied it
+ */
+export function resolveConfigLayers(layers) {
+  let config = {};
+  const provenance = new Map();
+
+  for (const { name, values } of layers) {
+    if (!isPlainObject(values)) continue;
+
+    const layerValues = { ...values };
+    if (!MODEL_LAYERS.has(name) && 'models' in layerValues) {
+      console.warn(`[CONFIG] Ignoring "models" from ${name} overrides`);
+      delete layerValues.models;
+    }
+
+    config = mergeLayer(config, layerValues, name, '', provenance);
+  }
+
+  return { config, provenance };
+}
+
+/**
+ * Read overrides stored on this device.
+ * @returns {object} Nested overrides object (empty when none)
+ */
+export function readLocalOverrides() {
+  try {
+    const raw = localStorage.getItem(LOCAL_OVERRIDES_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return isPlainObject(parsed) ? parsed : {};
+  } catch (e) {
+    console.warn('[CONFIG] Ignoring unreadable local config overrides:', e.message);
+    return {};
+  }
+}
+
+/**
+ * Store (or merge into) the overrides kept on this device.
+ * @param {object} overrides - Nested overrides object
+ */
+export function saveLocalOverrides(overrides) {
+  const { config } = resolveConfigLayers([
+    { name: 'local', values: readLocalOverrides() },
+    { name: 'local', values: overrides }
+  ]);
+  try {
+    localStorage.setItem(LOCAL_OVERRIDES_KEY, JSON.stringify(config));
+  } catch (e) {
+    console.warn('[CONFIG] Failed to store local config overrides:', e.message);
+  }
+}
+
+/**
+ * Remove all overrides stored on this device.
+ */
+export function clearLocalOverrides() {
+  try {
+    localStorage.removeItem(LOCAL_OVERRIDES_KEY);
+  } catch (_) { /* ignore */ }
+}
+
+/**
+ * Parse dotted-path overrides from a query string.
+ * Only paths whose first segment is a known config section are used, so
+ * unrelated query parameters (utm_source etc.) are ignored.
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @param {Array<string>} sections - Known top-level section names
+ * @returns {{overrides: object, save: boolean, reset: boolean}}
+ */
+export function readUrlOverrides(search, sections) {
+  const params = new URLSearchParams(search);
+  const overrides = {};
+
+  for (const [key, rawValue] of params) {
+    const path = key.split('.');
+    if (path.length < 2 || !sections.includes(path[0])) continue;
+    if (path.some(segment => UNSAFE_KEYS.has(segment))) {
+      console.warn(`[CONFIG] Ignoring unsafe URL override "${key}"`);
+      continue;
+    }
+    setPath(overrides, path, parseOverrideValue(rawValue));
+  }
+
+  return {
+    overrides,
+    save: params.has('config.save'),
+    reset: params.has('config.reset')
+  };
+}
+
+/**
+ * Summarize which values came from which non-default layer.
+ * @param {Map<string, string>} provenance - From resolveConfigLayers
+ * @param {object} config - Resolved config (for current values)
+ * @returns {object} { layerName: { path: value } } without the fallback layer
+ */
+export function summarizeProvenance(provenance, config) {
+  const summary = {};
+  for (const [path, layer] of provenance) {
+    if (layer === 'fallback') continue;
+    if (!summary[layer]) summary[layer] = {};
+    // Summarize the models list by count instead of dumping every entry
+    summary[layer][path] = path === 'models'
+      ? `${(config.models || []).length} model(s)`
+      : getPath(config, path.split('.'));
+  }
+  return summary;
+}
+
+/**
+ * Internal: merge one layer into the accumulated config, recording provenance
+ */
+function mergeLayer(target, source, layerName, prefix, provenance) {
+  const result = { ...target };
+
+  for (const [key, value] of Object.entries(source)) {
+    // JSON.parse keeps "__proto__" as an own key (stored local overrides)
+    if (UNSAFE_KEYS.has(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = mergeLayer(result[key], value, layerName, path, provenance);
+    } else if (isPlainObject(value)) {
+      // New section: copy it and record every leaf
+      provenance.delete(path);
+      result[key] = mergeLayer({}, value, layerName, path, provenance);
+      if (Object.keys(value).length === 0) provenance.set(path, layerName);
+    } else {
+      result[key] = value;
+      // A replaced subtree no longer comes from the layers below
+      for (const existing of [...provenance.keys()]) {
+        if (existing.startsWith(`${path}.`)) provenance.delete(existing);
+      }
+      provenance.set(path, layerName);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Internal: convert a query-string value to the most likely JSON type
+ * ("4" → 4, "true" → true, "[1,2]" → [1, 2]); anything else stays a string
+ */
+function parseOverrideValue(raw) {
+  if (raw === '') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return raw;
+  }
+}
+
+function setPath(obj, path, value) {
+  let node = obj;
+  for (const segment of path.slice(0, -1)) {
+    if (!isPlainObject(node[segment])) node[segment] = {};
+    node = node[segment];
+  }
+  node[path[path.length - 1]] = value;
+}
+
+function getPath(obj, path) {
+  return path.reduce((node, segment) => (node == null ? undefined : node[segment]), obj);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,552 @@
+/**
+ * Config Validator
+ * Checks the /api/config payload section by section before the app uses it.
+ *
+ * Invalid settings are repaired (numeric strings are parsed, out-of-range or
+ * wrongly typed values fall back to the default). Invalid models are repaired
+ * where possible and dropped individually otherwise, so one bad CMS entry
+ * never takes the whole catalog down. Every change is recorded in a report.
+ */
+
+import { QUALITY_TIERS } from '../modules/quality-selector.js';
+
+// Leaf rules have a `type`; anything else is a nested section
+const SETTINGS_SCHEMA = {
+  server: {
+    modelBaseUrl: { type: 'string' },
+    cors: { type: 'boolean' },
+    timeout: { type: 'number', min: 0 },
+    liveUpdates: {
+      enabled: { type: 'boolean' },
+      url: { type: 'string' },
+      debounce: { type: 'number', min: 0 }
+    },
+    retry: {
+      maxAttempts: { type: 'number', min: 1, integer: true },
+      baseDelay: { type: 'number', min: 0 },
+      maxDelay: { type: 'number', min: 0 }
+    }
+  },
+  ar: {
+    hitTest: {
+      type: { type: 'string', oneOf: ['horizontal', 'vertical', 'any'] },
+      maxDistance: { type: 'number', min: 0 },
+      minConfidence: { type: 'number', min: 0, max: 1 },
+      placeAt: { type: 'string', oneOf: ['reticle', 'touch'] }
+    },
+    anchor: {
+      persistent: { type: 'boolean' }
+    },
+    lightEstimation: { type: 'boolean' },
+    planeDetection: {
+      enabled: { type: 'boolean' },
+      showPlanes: { type: 'boolean' }
+    },
+    occlusion: {
+      enabled: { type: 'boolean' },
+      defaultOn: { type: 'boolean' }
+    }
+  },
+  ui: {
+    showDebug: { type: 'boolean' },
+    instructionTimeout: { type: 'number', min: 0 },
+    minLoadingTime: { type: 'number', min: 0 }
+  },
+  gestures: {
+    rotation: {
+      enabled: { type: 'boolean' },
+      speed: { type: 'number', min: 0 },
+      axis: { type: 'string', oneOf: ['y', 'xy'] }
+    },
+    scale: {
+      enabled: { type: 'boolean' },
+      minFactor: { type: 'number', min: 0, exclusiveMin: true },
+      maxFactor: { type: 'number', min: 0, exclusiveMin: true },
+      speed: { type: 'number', min: 0 }
+    },
+    pinchRotate: {
+      enabled: { type: 'boolean' },
+      speed: { type: 'number', min: 0 }
+    },
+    drag: {
+      enabled: { type: 'boolean' },
+      startOn: { type: 'string', oneOf: ['model', 'anywhere'] }
+    }
+  },
+  scene: {
+    enabled: { type: 'boolean' },
+    maxObjects: { type: 'number', min: 1, integer: true }
+  },
+  performance: {
+    maxModelSize: { type: 'number', min: 0, exclusiveMin: true },
+    recommendedModelSize: { type: 'number', min: 0, exclusiveMin: true },
+    maxTextureSize: { type: 'number', min: 1, integer: true },
+    shadows: { type: 'boolean' },
+    antialias: { type: 'boolean' },
+    modelCache: {
+      enabled: { type: 'boolean' },
+      maxSizeMB: { type: 'number', min: 0 }
+    },
+    entityCache: {
+      maxSizeMB: { type: 'number', min: 0 }
+    },
+    prefetch: {
+      enabled: { type: 'boolean' },
+      concurrency: { type: 'number', min: 1, integer: true },
+      popularCount: { type: 'number', min: 0, integer: true }
+    }
+  }
+};
+
+/**
+ * Validate a merged config object.
+ * @param {object} config - Backend config already merged over the fallback
+ * @param {object} fallback - Fallback config used to repair invalid settings
+ * @returns {{config: object, report: object}} Repaired config and validation report.
+ *   report.issues: [{ level, path, message, value, action }]
+ *   report.droppedModels: [{ index, id, name, reasons }]
+ */
+export function validateConfig(config, fallback) {
+  const report = {
+    valid: true,
+    issues: [],
+    droppedModels: [],
+    repairedModels: [],
+    modelCount: 0
+  };
+  const validated = { ...config };
+
+  // Settings sections
+  for (const [section, schema] of Object.entries(SETTINGS_SCHEMA)) {
+    validated[section] = validateObject(config[section], schema, fallback[section], section, report);
+  }
+  checkCrossFieldRules(validated, fallback, report);
+
+  // Models
+  validated.models = validateModels(config.models, report);
+  report.modelCount = validated.models.length;
+
+  report.valid = report.issues.length === 0;
+  return { config: validated, report };
+}
+
+/**
+ * Validate a nested settings object against its schema.
+ * Unknown keys are kept untouched so the backend can ship new settings.
+ */
+function validateObject(value, schema, fallback, path, report) {
+  if (value === undefined) return fallback;
+
+  if (!isPlainObject(value)) {
+    addIssue(report, 'error', path, 'Expected an object - using defaults', value, 'defaulted');
+    return fallback;
+  }
+
+  const result = { ...value };
+  for (const [key, rule] of Object.entries(schema)) {
+    if (value[key] === undefined) continue;
+    const keyPath = `${path}.${key}`;
+    const fallbackValue = fallback?.[key];
+
+    result[key] = typeof rule.type === 'string'
+      ? validateLeaf(value[key], rule, fallbackValue, keyPath, report)
+      : validateObject(value[key], rule, fallbackValue, keyPath, report);
+  }
+  return result;
+}
+
+/**
+ * Validate a single setting, returning the repaired value.
+ */
+function validateLeaf(value, rule, fallbackValue, path, report) {
+  if (rule.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (value === 'true' || value === 'false') {
+      addIssue(report, 'warning', path, 'Boolean sent as string - converted', value, 'repaired');
+      return value === 'true';
+    }
+    addIssue(report, 'error', path, 'Expected a boolean - using default', value, 'defaulted');
+    return fallbackValue;
+  }
+
+  if (rule.type === 'number') {
+    let num = value;
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+      num = Number(value);
+      addIssue(report, 'warning', path, 'Number sent as string - converted', value, 'repaired');
+    }
+    if (typeof num !== 'number' || !Number.isFinite(num)) {
+      addIssue(report, 'error', path, 'Expected a number - using default', value, 'defaulted');
+      return fallbackValue;
+    }
+    const belowMin = rule.min !== undefined && (rule.exclusiveMin ? num <= rule.min : num < rule.min);
+    const aboveMax = rule.max !== undefined && num > rule.max;
+    if (belowMin || aboveMax) {
+      addIssue(report, 'error', path, `Out of range${describeRange(rule)} - using default`, value, 'defaulted');
+      return fallbackValue;
+    }
+    if (rule.integer && !Number.isInteger(num)) {
+      addIssue(report, 'warning', path, 'Expected an integer - rounded', value, 'repaired');
+      return Math.round(num);
+    }
+    return num;
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      addIssue(report, 'error', path, 'Expected a string - using default', value, 'defaulted');
+      return fallbackValue;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      addIssue(report, 'error', path, `Expected one of ${rule.oneOf.join(', ')} - using default`, value, 'defaulted');
+      return fallbackValue;
+    }
+    return value;
+  }
+
+  return value;
+}
+
+/**
+ * Rules that span several settings.
+ */
+function checkCrossFieldRules(config, fallback, report) {
+  const scale = config.gestures?.scale;
+  if (scale && scale.minFactor > scale.maxFactor) {
+    addIssue(report, 'error', 'gestures.scale', 'minFactor is greater than maxFactor - using defaults',
+      { minFactor: scale.minFactor, maxFactor: scale.maxFactor }, 'defaulted');
+    config.gestures = {
+      ...config.gestures,
+      scale: {
+        ...scale,
+        minFactor: fallback.gestures.scale.minFactor,
+        maxFactor: fallback.gestures.scale.maxFactor
+      }
+    };
+  }
+
+  const perf = config.performance;
+  if (perf && perf.recommendedModelSize > perf.maxModelSize) {
+    addIssue(report, 'warning', 'performance.recommendedModelSize', 'Greater than maxModelSize - clamped',
+      perf.recommendedModelSize, 'repaired');
+    config.performance = { ...perf, recommendedModelSize: perf.maxModelSize };
+  }
+
+  const retry = config.server?.retry;
+  if (retry && retry.maxDelay < retry.baseDelay) {
+    addIssue(report, 'warning', 'server.retry.maxDelay', 'Smaller than baseDelay - clamped',
+      retry.maxDelay, 'repaired');
+    config.server = { ...config.server, retry: { ...retry, maxDelay: retry.baseDelay } };
+  }
+}
+
+/**
+ * Validate the models array, repairing or dropping each entry individually.
+ */
+function validateModels(models, report) {
+  if (models === undefined) return [];
+  if (!Array.isArray(models)) {
+    addIssue(report, 'error', 'models', 'Expected an array - no models available', typeof models, 'defaulted');
+    return [];
+  }
+
+  const seenIds = new Set();
+  const valid = [];
+
+  models.forEach((model, index) => {
+    const path = `models[${index}]`;
+    const reasons = [];
+    const repairs = [];
+
+    if (!isPlainObject(model)) {
+      dropModel(report, index, null, null, ['Entry is not an object']);
+      return;
+    }
+
+    const repaired = { ...model };
+
+    // id: required, unique, string
+    if (typeof repaired.id === 'number' && Number.isFinite(repaired.id)) {
+      repaired.id = String(repaired.id);
+      repairs.push('id converted to string');
+    }
+    if (typeof repaired.id !== 'string' || repaired.id.trim() === '') {
+      reasons.push('Missing or invalid "id"');
+    } else if (seenIds.has(repaired.id)) {
+      reasons.push(`Duplicate id "${repaired.id}"`);
+    }
+
+    // variants: optional { low, medium, high } quality variants
+    if (repaired.variants != null) {
+      const { variants, variantRepairs } = validateVariants(repaired.variants);
+      if (variants) {
+        repaired.variants = variants;
+      } else {
+        delete repaired.variants;
+      }
+      repairs.push(...variantRepairs);
+    }
+
+    // url: required (defaults to the highest quality variant)
+    if ((typeof repaired.url !== 'string' || repaired.url.trim() === '') && repaired.variants) {
+      const best = [...QUALITY_TIERS].reverse().find(tier => repaired.variants[tier]);
+      repaired.url = repaired.variants[best].url;
+      repairs.push(`url missing - using "${best}" variant`);
+    }
+    if (typeof repaired.url !== 'string' || repaired.url.trim() === '') {
+      reasons.push('Missing or invalid "url"');
+    }
+
+    if (reasons.length > 0) {
+      dropModel(report, index, model.id, model.name, reasons);
+      return;
+    }
+
+    // name: optional, defaults to id
+    if (typeof repaired.name !== 'string' || repaired.name.trim() === '') {
+      repaired.name = repaired.id;
+      repairs.push('name missing - using id');
+    }
+
+    // thumbnail: optional string
+    if (repaired.thumbnail != null && typeof repaired.thumbnail !== 'string') {
+      delete repaired.thumbnail;
+      repairs.push('invalid thumbnail removed');
+    }
+
+    // renderingImages: optional array of strings
+    if (repaired.renderingImages != null) {
+      if (!Array.isArray(repaired.renderingImages)) {
+        delete repaired.renderingImages;
+        repairs.push('renderingImages is not an array - removed');
+      } else {
+        const images = repaired.renderingImages.filter(url => typeof url === 'string' && url !== '');
+        if (images.length !== repaired.renderingImages.length) {
+          repairs.push(`${repaired.renderingImages.length - images.length} invalid rendering image(s) removed`);
+          repaired.renderingImages = images;
+        }
+      }
+    }
+
+    // targetSizeMeters: optional positive number
+    if (repaired.targetSizeMeters != null) {
+      const size = Number(repaired.targetSizeMeters);
+      if (!Number.isFinite(size) || size <= 0) {
+        delete repaired.targetSizeMeters;
+        repairs.push(`invalid targetSizeMeters (${JSON.stringify(model.targetSizeMeters)}) removed - default size used`);
+      } else if (typeof repaired.targetSizeMeters !== 'number') {
+        repaired.targetSizeMeters = size;
+        repairs.push('targetSizeMeters converted to number');
+      }
+    }
+
+    // defaultScale: optional "x y z" string, number, or {x, y, z}
+    if (repaired.defaultScale != null && !isValidScale(repaired.defaultScale)) {
+      delete repaired.defaultScale;
+      repairs.push('invalid defaultScale removed');
+    }
+
+    // version: optional string or number
+    if (repaired.version != null && typeof repaired.version !== 'string' && typeof repaired.version !== 'number') {
+      delete repaired.version;
+      repairs.push('invalid version removed');
+    }
+
+    // hash: optional content hash string (used as the version when none is set)
+    if (repaired.hash != null && (typeof repaired.hash !== 'string' || repaired.hash.trim() === '')) {
+      delete repaired.hash;
+      repairs.push('invalid hash removed');
+    }
+
+    // sha256 / sizeBytes: optional integrity checks for the downloaded file
+    repairs.push(...validateIntegrityFields(repaired, ''));
+
+    // size: optional download size in MB (shown in the gallery, skips the HEAD request)
+    if (repaired.size != null) {
+      const size = Number(repaired.size);
+      if (!Number.isFinite(size) || size <= 0) {
+        delete repaired.size;
+        repairs.push('invalid size removed');
+      } else {
+        repaired.size = size;
+      }
+    }
+
+    // downscaleTextures: optional boolean (false keeps full-resolution textures)
+    if (repaired.downscaleTextures != null && typeof repaired.downscaleTextures !== 'boolean') {
+      delete repaired.downscaleTextures;
+      repairs.push('invalid downscaleTextures removed');
+    }
+
+    // popularity: optional ranking for background prefetching (higher first)
+    if (repaired.popularity != null) {
+      const popularity = Number(repaired.popularity);
+      if (!Number.isFinite(popularity) || popularity < 0) {
+        delete repaired.popularity;
+        repairs.push('invalid popularity removed');
+      } else {
+        repaired.popularity = popularity;
+      }
+    }
+
+    // placement: optional surface type ('floor' | 'wall' | 'any')
+    if (repaired.placement != null && !['floor', 'wall', 'any'].includes(repaired.placement)) {
+      delete repaired.placement;
+      repairs.push('invalid placement removed (expected floor, wall or any)');
+    }
+
+    // layers: optional array of { name, node }
+    if (repaired.layers != null) {
+      const { layers, layerRepairs } = validateLayers(repaired.layers);
+      repaired.layers = layers;
+      repairs.push(...layerRepairs);
+    }
+
+    if (repairs.length > 0) {
+      report.repairedModels.push({ index, id: repaired.id, name: repaired.name, repairs });
+      repairs.forEach(message => addIssue(report, 'warning', `${path} (${repaired.id})`, message, undefined, 'repaired'));
+    }
+
+    seenIds.add(repaired.id);
+    valid.push(repaired);
+  });
+
+  return valid;
+}
+
+/**
+ * Validate a model's quality variants. Unknown tiers and variants without a
+ * URL are dropped; an invalid size is removed (the variant is still usable).
+ */
+function validateVariants(variants) {
+  if (!isPlainObject(variants)) {
+    return { variants: null, variantRepairs: ['variants is not an object - removed'] };
+  }
+
+  const variantRepairs = [];
+  const valid = {};
+  for (const [tier, variant] of Object.entries(variants)) {
+    if (!QUALITY_TIERS.includes(tier)) {
+      variantRepairs.push(`variants.${tier} is not a known tier (${QUALITY_TIERS.join('/')}) - removed`);
+      continue;
+    }
+    const entry = typeof variant === 'string' ? { url: variant } : variant;
+    if (!isPlainObject(entry) || typeof entry.url !== 'string' || entry.url.trim() === '') {
+      variantRepairs.push(`variants.${tier} has no url - removed`);
+      continue;
+    }
+    const repaired = { ...entry };
+    if (repaired.size != null) {
+      if (Number(repaired.size) > 0) {
+        repaired.size = Number(repaired.size);
+      } else {
+        delete repaired.size;
+        variantRepairs.push(`variants.${tier}.size is invalid - removed`);
+      }
+    }
+    variantRepairs.push(...validateIntegrityFields(repaired, `variants.${tier}.`));
+    valid[tier] = repaired;
+  }
+
+  return {
+    variants: Object.keys(valid).length > 0 ? valid : null,
+    variantRepairs
+  };
+}
+
+/**
+ * Validate (in place) the optional `sha256` (64 hex chars, lowercased) and
+ * `sizeBytes` (positive integer) of a model or variant entry.
+ * @returns {string[]} Repair messages, prefixed with `prefix`
+ */
+function validateIntegrityFields(entry, prefix) {
+  const repairs = [];
+
+  if (entry.sha256 != null) {
+    const hash = typeof entry.sha256 === 'string' ? entry.sha256.trim().toLowerCase() : '';
+    if (/^[0-9a-f]{64}$/.test(hash)) {
+      entry.sha256 = hash;
+    } else {
+      delete entry.sha256;
+      repairs.push(`${prefix}sha256 is not a hex SHA-256 digest - removed`);
+    }
+  }
+
+  if (entry.sizeBytes != null) {
+    const size = Number(entry.sizeBytes);
+    if (Number.isInteger(size) && size > 0) {
+      entry.sizeBytes = size;
+    } else {
+      delete entry.sizeBytes;
+      repairs.push(`${prefix}sizeBytes is not a positive integer - removed`);
+    }
+  }
+
+  return repairs;
+}
+
+/**
+ * Validate a model's layers list. Strings are accepted as shorthand for
+ * { name: str, node: str }; entries without a node name are dropped.
+ */
+function validateLayers(layers) {
+  if (!Array.isArray(layers)) {
+    return { layers: [], layerRepairs: ['layers is not an array - layers will be auto-discovered'] };
+  }
+
+  const layerRepairs = [];
+  const valid = [];
+  layers.forEach((layer, i) => {
+    if (typeof layer === 'string' && layer !== '') {
+      valid.push({ name: layer, node: layer });
+      layerRepairs.push(`layers[${i}] given as string - converted`);
+      return;
+    }
+    if (!isPlainObject(layer) || typeof layer.node !== 'string' || layer.node === '') {
+      layerRepairs.push(`layers[${i}] has no node name - removed`);
+      return;
+    }
+    if (typeof layer.name !== 'string' || layer.name === '') {
+      valid.push({ ...layer, name: layer.node });
+      layerRepairs.push(`layers[${i}] has no display name - using node name`);
+      return;
+    }
+    valid.push(layer);
+  });
+  return { layers: valid, layerRepairs };
+}
+
+function isValidScale(scale) {
+  if (typeof scale === 'number') return Number.isFinite(scale) && scale > 0;
+  if (typeof scale === 'string') {
+    const parts = scale.trim().split(/\s+/).map(Number);
+    return (parts.length === 1 || parts.length === 3) && parts.every(n => Number.isFinite(n) && n > 0);
+  }
+  if (isPlainObject(scale)) {
+    return ['x', 'y', 'z'].every(axis => Number.isFinite(Number(scale[axis])) && Number(scale[axis]) > 0);
+  }
+  return false;
+}
+
+function dropModel(report, index, id, name, reasons) {
+  report.droppedModels.push({ index, id: id ?? null, name: name ?? null, reasons });
+  addIssue(report, 'error', `models[${index}]${id != null ? ` (${id})` : ''}`,
+    `Model dropped: ${reasons.join('; ')}`, undefined, 'dropped');
+}
+
+function addIssue(report, level, path, message, value, action) {
+  const issue = { level, path, message, action };
+  if (value !== undefined) issue.value = value;
+  report.issues.push(issue);
+}
+
+function describeRange(rule) {
+  const parts = [];
+  if (rule.min !== undefined) parts.push(`${rule.exclusiveMin ? '>' : '>='} ${rule.min}`);
+  if (rule.max !== undefined) parts.push(`<= ${rule.max}`);
+  return parts.length ? ` (expected ${parts.join(' and ')})` : '';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -2,15 +2,27 @@
  * Application Configuration
  * Central configuration for models, server endpoints, and app settings
  * 
- * Supports two modes:
+ * Supports three modes:
  * 1. Backend API mode: fetches config from /api/config at runtime
- * 2. Fallback mode: uses hardcoded defaults when API is unavailable
+ * 2. Offline mode: reuses the last successfully fetched config (stored locally)
+ * 3. Fallback mode: uses hardcoded defaults when neither is available
  *
  * In production, set VITE_API_BASE_URL to the backend origin
  * (e.g. https://api.ardemo.co.za) so API and asset requests reach
  * the correct server. During development, the Vite proxy handles this.
  */
 
+import { validateConfig } from './config-validator.js';
+import {
+  resolveConfigLayers,
+  readLocalOverrides,
+  saveLocalOverrides,
+  clearLocalOverrides,
+  readUrlOverrides,
+  summarizeProvenance
+} from './config-layers.js';
+import { getLogger } from '../modules/logger.js';
+
 // Backend origin — empty string in dev (Vite proxy), absolute URL in production
 const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL ?? '').replace(/\/+$/, '');
 
@@ -27,7 +39,22 @@ const FALLBACK_CONFIG = {
     // Enable CORS
     cors: true,
     // Request timeout in ms
-    timeout: 30000
+    timeout: 30000,
+    // Live catalog updates pushed by the backend (Server-Sent Events);
+    // enable only when the backend serves the event stream
+    liveUpdates: {
+      enabled: false,
+      // Event stream URL — defaults to `${API_BASE_URL}/api/config/events` when empty
+      url: '',
+      // Coalesce bursts of catalog edits into one refresh (ms)
+      debounce: 1000
+    },
+    // Model download retries (resumes with HTTP Range requests when possible)
+    retry: {
+      maxAttempts: 5,
+      baseDelay: 1000,  // First backoff in ms, doubled on each failed attempt
+      maxDelay: 15000   // Backoff cap in ms
+    }
   },
   
   // Model configurations — always fetched from backend via /api/config
@@ -40,14 +67,27 @@ const FALLBACK_CONFIG = {
     hitTest: {
       type: 'horizontal',
       maxDistance: 10,
-      minConfidence: 0.5
+      minConfidence: 0.5,
+      placeAt: 'reticle' // 'reticle' (screen centre) | 'touch' (tap point; the reticle stays as a preview)
     },
     // Anchor settings
     anchor: {
       persistent: true
     },
     // Light estimation
-    lightEstimation: true
+    lightEstimation: true,
+    // Plane detection: outlines detected planes and checks that the model's
+    // footprint fits the plane under the reticle
+    planeDetection: {
+      enabled: true,
+      showPlanes: true
+    },
+    // Depth occlusion: real objects in front of a model hide it (needs
+    // WebXR depth sensing). defaultOn sets the state of the UI toggle.
+    occlusion: {
+      enabled: true,
+      defaultOn: true
+    }
   },
   
   // UI Configuration
@@ -79,17 +119,52 @@ const FALLBACK_CONFIG = {
     pinchRotate: {
       enabled: true,
       speed: 1.0
+    },
+    // Drag-to-move: one finger slides the placed model along its surface
+    drag: {
+      enabled: true,
+      startOn: 'model' // 'model' (touch must start on the model) | 'anywhere' (one-finger rotate off)
     }
   },
   
+  // Scene mode: gallery selections add models instead of replacing the current one
+  scene: {
+    // Offer the mode in the gallery
+    enabled: true,
+    // Placed models allowed at once
+    maxObjects: 10
+  },
+  
   // Performance settings
   performance: {
     // Max file size in MB
     maxModelSize: 100,
     // Recommended file size in MB
     recommendedModelSize: 20,
-    // Texture resolution limit
+    // Texture resolution limit: larger textures are downscaled after parsing
+    // (per model opt-out: `downscaleTextures: false`)
     maxTextureSize: 2048,
+    // Persistent on-device model cache (survives page reloads)
+    modelCache: {
+      enabled: true,
+      // Byte budget in MB; least recently used models are evicted first
+      maxSizeMB: 500
+    },
+    // Parsed models kept in the scene for instant switching
+    entityCache: {
+      // Estimated GPU/CPU memory budget in MB (geometry + textures);
+      // least recently used hidden models are disposed first
+      maxSizeMB: 256
+    },
+    // Background downloads of models likely to be picked next (skipped on
+    // Data Saver and for models above recommendedModelSize)
+    prefetch: {
+      enabled: true,
+      // Downloads running at the same time
+      concurrency: 2,
+      // How many of the most popular models (model `popularity`) to include
+      popularCount: 3
+    },
     // Shadow settings
     shadows: true,
     // Anti-aliasing
@@ -100,6 +175,15 @@ const FALLBACK_CONFIG = {
 // Cached config instance (populated by loadConfig)
 let _configCache = null;
 
+// Value path -> layer that supplied it ('fallback' | 'backend' | 'local' | 'url')
+let _configProvenance = new Map();
+
+// Where the cached config came from: 'api' | 'snapshot' | 'fallback'
+let _configSource = { source: 'fallback', savedAt: null };
+
+// localStorage key for the last good backend config
+const CONFIG_SNAPSHOT_KEY = 'webar:config-snapshot';
+
 /**
  * Prefix a path with API_BASE_URL when it is a server-relative path
  * (starts with /uploads, /defaults, or /api) and API_BASE_URL is set.
@@ -120,6 +204,10 @@ function normalizeModels(config) {
       ...model,
       url: resolveAssetUrl(model.url),
       thumbnail: resolveAssetUrl(model.thumbnail),
+      variants: model.variants
+        ? Object.fromEntries(Object.entries(model.variants)
+          .map(([tier, variant]) => [tier, { ...variant, url: resolveAssetUrl(variant.url) }]))
+        : undefined,
       renderingImages: Array.isArray(model.renderingImages)
         ? model.renderingImages.map(resolveAssetUrl)
         : DEFAULT_RENDERING_IMAGES
@@ -149,12 +237,21 @@ export async function loadConfig() {
     }
     const apiConfig = await response.json();
     // Merge with fallback so missing sections have safe defaults
-    _configCache = normalizeModels(mergeConfig(FALLBACK_CONFIG, apiConfig));
+    _configCache = normalizeModels(validateAndReport(resolveConfig(apiConfig)));
+    _configSource = { source: 'api', savedAt: saveConfigSnapshot(apiConfig) };
     console.log('[CONFIG] Loaded from backend API');
     return _configCache;
   } catch (e) {
+    const snapshot = loadConfigSnapshot();
+    if (snapshot) {
+      console.warn(`[CONFIG] Backend API unavailable (${configUrl}), using offline catalog from ${new Date(snapshot.savedAt).toISOString()}:`, e.message);
+      _configCache = normalizeModels(validateAndReport(resolveConfig(snapshot.config)));
+      _configSource = { source: 'snapshot', savedAt: snapshot.savedAt };
+      return _configCache;
+    }
     console.warn(`[CONFIG] Backend API unavailable (${configUrl}), using fallback config:`, e.message);
-    _configCache = normalizeModels({ ...FALLBACK_CONFIG });
+    _configCache = normalizeModels(validateAndReport(resolveConfig(null)));
+    _configSource = { source: 'fallback', savedAt: null };
     return _configCache;
   }
 }
@@ -177,16 +274,29 @@ export async function refreshConfig() {
       throw new Error(`Expected JSON but received ${contentType}`);
     }
     const apiConfig = await response.json();
-    const oldCache = _configCache;
-    _configCache = normalizeModels(mergeConfig(FALLBACK_CONFIG, apiConfig));
+    const result = applyRemoteConfig(apiConfig);
     console.log('[CONFIG] Refreshed from backend API');
-    return { config: _configCache, previousConfig: oldCache };
+    return result;
   } catch (e) {
     console.warn(`[CONFIG] Failed to refresh config (${configUrl}):`, e.message);
     throw e;
   }
 }
 
+/**
+ * Replace the cached config with a config document received from the backend
+ * (e.g. pushed through the live catalog event stream).
+ * @param {object} apiConfig - Raw /api/config payload
+ * @returns {{config: object, previousConfig: object}} New and previous config
+ */
+export function applyRemoteConfig(apiConfig) {
+  const oldCache = _configCache;
+  _configCache = normalizeModels(validateAndReport(resolveConfig(apiConfig)));
+  // A successful refresh replaces the stored offline snapshot
+  _configSource = { source: 'api', savedAt: saveConfigSnapshot(apiConfig) };
+  return { config: _configCache, previousConfig: oldCache };
+}
+
 /**
  * Get the current config synchronously.
  * Returns cached config if loadConfig() was called, otherwise returns fallback.
@@ -197,17 +307,116 @@ export function getConfig() {
 }
 
 /**
- * Shallow-merge backend config over fallback defaults.
- * Ensures every top-level section (server, ar, ui, gestures, performance)
- * exists even if the backend omits it.
+ * Describe where the current config came from.
+ * @returns {{source: string, savedAt: number|null}} source is 'api', 'snapshot'
+ *   (offline catalog restored from local storage) or 'fallback'; savedAt is the
+ *   time the backend config was fetched
+ */
+export function getConfigSource() {
+  return { ..._configSource };
+}
+
+/**
+ * Persist the raw backend config so it can be used when the backend is down.
+ * Stored before URL normalization so API_BASE_URL changes still apply.
+ * @returns {number|null} Snapshot timestamp, or null if storage failed
+ */
+function saveConfigSnapshot(apiConfig) {
+  const savedAt = Date.now();
+  try {
+    localStorage.setItem(CONFIG_SNAPSHOT_KEY, JSON.stringify({ savedAt, config: apiConfig }));
+    return savedAt;
+  } catch (e) {
+    console.warn('[CONFIG] Failed to store offline config snapshot:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Read the last good backend config from local storage.
+ * @returns {{savedAt: number, config: object}|null}
+ */
+function loadConfigSnapshot() {
+  try {
+    const raw = localStorage.getItem(CONFIG_SNAPSHOT_KEY);
+    if (!raw) return null;
+    const snapshot = JSON.parse(raw);
+    if (!snapshot || typeof snapshot.config !== 'object' || !snapshot.savedAt) return null;
+    return snapshot;
+  } catch (e) {
+    console.warn('[CONFIG] Ignoring unreadable offline config snapshot:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Validate a merged config and log a structured report through the Logger,
+ * so content editors can see exactly which entry is broken.
+ * @returns {object} The repaired config
+ */
+function validateAndReport(config) {
+  const { config: validated, report } = validateConfig(config, FALLBACK_CONFIG);
+  const logger = getLogger();
+  
+  if (report.valid) {
+    logger.success('CONFIG_VALIDATION', 'Config passed validation', { modelCount: report.modelCount });
+    return validated;
+  }
+  
+  const errorCount = report.issues.filter(i => i.level === 'error').length;
+  const level = errorCount > 0 ? 'error' : 'warning';
+  logger[level]('CONFIG_VALIDATION',
+    `Config has ${report.issues.length} issue(s): ${report.droppedModels.length} model(s) dropped, ${report.repairedModels.length} repaired`,
+    report);
+  
+  // One line per dropped model so broken CMS entries stand out in the log panel
+  report.droppedModels.forEach(({ index, id, name, reasons }) => {
+    logger.error('CONFIG_VALIDATION', `Model #${index}${id != null ? ` "${id}"` : ''}${name ? ` (${name})` : ''} dropped`, { reasons });
+  });
+  
+  return validated;
+}
+
+/**
+ * Resolve the config layers: fallback → backend → local settings → URL overrides.
+ * Every section is deep-merged and the source layer of each value is recorded
+ * (see getConfigProvenance) and logged to the log panel.
+ * @param {object|null} apiResponse - Backend config, or null when unavailable
+ * @returns {object} The merged config
+ */
+function resolveConfig(apiResponse) {
+  const sections = Object.keys(FALLBACK_CONFIG).filter(key => key !== 'models');
+  const url = readUrlOverrides(window.location.search, sections);
+  
+  if (url.reset) clearLocalOverrides();
+  if (url.save && Object.keys(url.overrides).length > 0) saveLocalOverrides(url.overrides);
+  
+  const { config, provenance } = resolveConfigLayers([
+    { name: 'fallback', values: FALLBACK_CONFIG },
+    { name: 'backend', values: apiResponse },
+    { name: 'local', values: readLocalOverrides() },
+    { name: 'url', values: url.overrides }
+  ]);
+  _configProvenance = provenance;
+  
+  getLogger().info('CONFIG_LAYERS', 'Config resolved (fallback → backend → local → url)', {
+    overrides: summarizeProvenance(provenance, config),
+    localOverridesReset: url.reset,
+    urlOverridesSaved: url.save
+  });
+  
+  return config;
+}
+
+/**
+ * Get the layer that supplied a config value.
+ * @param {string} path - Dotted value path, e.g. 'gestures.scale.maxFactor'.
+ *   Omit to get a copy of the full provenance map.
+ * @returns {string|Map<string, string>|null} 'fallback' | 'backend' | 'local' | 'url'
  */
-function mergeConfig(fallback, apiResponse) {
-  return {
-    ...fallback,
-    ...apiResponse,
-    // Deep-merge server so individual keys aren't lost
-    server: { ...fallback.server, ...(apiResponse.server || {}) }
-  };
+export function getConfigProvenance(path) {
+  if (path === undefined) return new Map(_configProvenance);
+  return _configProvenance.get(path) ?? null;
 }
 
 // Export defaults and helpers for use by other modules
@@ -8,16 +8,28 @@ if (window.location.protocol === 'http:' && window.location.hostname !== 'localh
   window.location.replace(window.location.href.replace('http:', 'https:'));
 }
 
-import { ARSession } from './modules/ar-session.js';
-import { ModelLoader } from './modules/model-loader.js';
+import { ARSession, isSurfaceCompatible, getDefaultPlacementType } from './modules/ar-session.js';
+import { ModelLoader, getContentVersion } from './modules/model-loader.js';
 import { UIController } from './modules/ui-controller.js';
 import { GestureHandler } from './modules/gesture-handler.js';
 import { Gallery } from './modules/gallery.js';
-import { loadConfig, getConfig, refreshConfig } from './config/config.js';
+import { loadConfig, getConfig, refreshConfig, applyRemoteConfig, getConfigSource, API_BASE_URL } from './config/config.js';
 import { AssetManager } from './modules/asset-manager.js';
+import { CatalogEvents } from './modules/catalog-events.js';
+import { EntityCache } from './modules/entity-cache.js';
+import { ModelPrefetcher } from './modules/model-prefetcher.js';
+import { getModelUrls } from './modules/quality-selector.js';
+import { createLocalModel } from './modules/local-model.js';
+import { createValidationReport } from './modules/gltf-validator.js';
+import { downscaleTextures } from './modules/texture-downscaler.js';
+import { saveLayout, loadLayout, clearLayout } from './modules/layout-store.js';
+import { SceneManager } from './modules/scene-manager.js';
 import { getLogger } from './modules/logger.js';
 import './components/ar-components.js';
 
+// Space (m) between a duplicated model and its copy
+const DUPLICATE_GAP = 0.1;
+
 class WebARApp {
   constructor() {
     this.arSession = null;
@@ -39,9 +51,10 @@ class WebARApp {
     // Store current model config for repositioning
     this.currentModelConfig = null;
     
-    // Model entity cache: Map of modelId -> { entity, config, isReady }
-    // This caches parsed A-Frame entities to avoid re-parsing on model switch
-    this.modelEntityCache = new Map();
+    // Model entity cache: modelId -> { entity, config, isReady, layers, quality }
+    // This caches parsed A-Frame entities to avoid re-parsing on model switch;
+    // created in init() with the memory budget from the config
+    this.modelEntityCache = null;
     
     // Track active model ID for cache management
     this.activeModelId = null;
@@ -54,6 +67,14 @@ class WebARApp {
     // correct placement for different models with different floor offsets
     this.lastPlacedHitPosition = null;
     
+    // modelId -> variant URL whose size the gallery card shows (or is fetching)
+    this.gallerySizedUrls = new Map();
+    
+    // Latest raw surface hit under the finger while the model is dragged, and
+    // the offset from the grabbed point to the model's placement point
+    this.dragHit = null;
+    this.dragOffset = null;
+    
     // Pending "switch in place" intent for non-cached models
     // When set, model-loaded handler will place the model at this position
     this.pendingSwitchInPlace = null;
@@ -72,6 +93,25 @@ class WebARApp {
     // Pending first placement: saves tap position when no model is loaded yet
     // so the first model auto-places after loading
     this.pendingFirstPlacement = null;
+
+    // Saved layout being restored: applied when its model is auto-placed
+    // ({ ...layout, anchor } with the re-localized persistent anchor, if any)
+    this.pendingLayoutRestore = null;
+
+    // Scene mode: gallery selections add models instead of replacing the
+    // current one. currentModel is the selected model; the others are
+    // lightweight instances kept by the scene manager
+    this.sceneMode = false;
+    this.sceneManager = null;
+
+    // Live catalog updates (Server-Sent Events) and refresh serialization
+    this.catalogEvents = null;
+    this.isRefreshingConfig = false;
+
+    // Background downloads of likely-next models
+    this.prefetcher = null;
+    this.liveRefreshTimer = null;
+    this.pendingLiveConfig = null;
   }
 
   async init() {
@@ -85,10 +125,13 @@ class WebARApp {
       
       // Load config from backend API (falls back to hardcoded defaults)
       const config = await loadConfig();
+      const configSource = getConfigSource();
       this.logger.info('APP_INIT', 'Config loaded', { 
         modelCount: config.models.length,
-        source: config.models?.length > 0 ? 'api' : 'fallback'
+        source: configSource.source,
+        savedAt: configSource.savedAt ? new Date(configSource.savedAt).toISOString() : null
       });
+      this.updateCatalogStatus();
       
       // Pre-download all images (thumbnails + rendering images) from backend
       this.assetManager = new AssetManager();
@@ -105,17 +148,42 @@ class WebARApp {
       
       // Initialize modules using dynamically loaded config
       this.modelLoader = new ModelLoader(config.models);
+      this.modelEntityCache = new EntityCache(config.performance.entityCache);
+      this.modelEntityCache.onChange = stats => this.uiController.updateEntityCacheStatus(stats);
+      this.sceneManager = new SceneManager(document.getElementById('model-container'), config.scene);
+      this.sceneManager.onRemove = instance => this.arSession?.detachAnchor(instance.entity.object3D);
+      // Placed copies keep the resources of a dropped entity until they are
+      // re-pointed at its reloaded entity (updateSceneInstances) or removed
+      this.modelEntityCache.onDelete = (modelId, entity) => this.sceneManager.retain(entity);
       this.gallery = new Gallery(config.models, this.onModelSelect.bind(this), this.assetManager);
+      this.gallery.onQualityChange = this.onQualityChange.bind(this);
+      this.gallery.setQuality(this.modelLoader.qualityOverride);
+      this.gallery.onSceneModeChange = this.setSceneMode.bind(this);
+      this.gallery.setSceneModeAvailable(config.scene?.enabled !== false);
+      
+      // Background downloads of models likely to be picked next
+      this.prefetcher = new ModelPrefetcher(this.modelLoader, config.performance.prefetch);
+      this.prefetcher.isBusy = () => this.isModelLoading || this.isRefreshingConfig
+        || !!this.arSession?.isRenderStressed();
+      this.gallery.onVisibleModelsChange = () => this.updateGallerySizes().then(() => this.schedulePrefetch());
+      this.gallery.onOpenFiles = this.openLocalModel.bind(this);
       
       // Wait for A-Frame to be ready
       await this.waitForAFrame();
       
+      // After A-Frame: variants are picked with the renderer's GPU limits.
+      // Sizes first: the prefetcher skips models above the recommended size
+      this.updateGallerySizes().then(() => this.schedulePrefetch());
+      
       // Initialize AR session (but don't start it yet)
       this.arSession = new ARSession(
         this.onPlaceModel.bind(this),
         this.onSessionStarted.bind(this),
         this.onSessionEnded.bind(this)
       );
+      this.arSession.getPlacementFootprint = () => this.getPlacementFootprint();
+      this.arSession.getSelectableObjects = () => this.sceneManager?.getObjects() || [];
+      this.arSession.getDraggableObject = () => this.getDraggableObject();
       
       // Initialize gesture handler
       this.gestureHandler = new GestureHandler();
@@ -126,6 +194,9 @@ class WebARApp {
       // Setup tap-anywhere-to-start (replaces Start AR button)
       this.setupTapToStart();
       
+      // Subscribe to live catalog updates from the backend
+      this.startCatalogEvents();
+      
       this.isInitialized = true;
       this.logger.success('APP_INIT', 'Initialization complete - waiting for user to start AR', {
         modelsAvailable: config.models.length,
@@ -259,6 +330,30 @@ class WebARApp {
     document.getElementById('refresh-btn')?.addEventListener('click', () => {
       this.refreshAppConfig();
     });
+    
+    // Occlusion button - only shown when the session has depth sensing
+    document.getElementById('occlusion-btn')?.addEventListener('click', () => {
+      this.toggleOcclusion();
+    });
+    
+    // Scene toolbar - act on the selected model
+    document.getElementById('scene-duplicate-btn')?.addEventListener('click', () => {
+      this.duplicateSelectedModel();
+    });
+    document.getElementById('scene-delete-btn')?.addEventListener('click', () => {
+      this.deleteSelectedModel();
+    });
+    
+    // Tap on a placed model in scene mode selects it
+    window.addEventListener('ar-object-tapped', (e) => {
+      const instance = this.sceneManager?.findByObject(e.detail.object3D);
+      if (instance) this.selectSceneInstance(instance);
+    });
+    
+    // One-finger drag slides the placed model along its surface
+    window.addEventListener('ar-drag-start', (e) => this.onDragStart(e.detail.hit));
+    window.addEventListener('ar-drag-move', (e) => this.onDragMove(e.detail.position));
+    window.addEventListener('ar-drag-end', () => this.onDragEnd());
   }
 
   async startARSession() {
@@ -321,6 +416,11 @@ class WebARApp {
     }
     
     // No auto-load: first model loads when user taps detected reticle
+    // (or the saved layout, if the user chooses to restore it)
+    this.arSession.setPlacementType(this.getPlacementType(currentConfig.models?.[0]));
+    this.offerLayoutRestore();
+    
+    this.updateOcclusionButton();
   }
 
   /**
@@ -364,6 +464,20 @@ class WebARApp {
         this.uiController.showSurfaceDetectingInstructions();
       }
     });
+
+    // Tap on a surface the model cannot be placed on
+    window.addEventListener('ar-placement-rejected', (e) => {
+      const messages = {
+        wall: 'This item goes on a wall - point at a wall and tap',
+        floor: 'This item goes on the floor - point at the floor and tap',
+        any: 'Point at the floor or a wall and tap'
+      };
+      this.uiController.showInstructions(messages[e?.detail?.placementType] || messages.any, {
+        duration: 4000,
+        icon: 'scan',
+        state: 'placement_rejected'
+      });
+    });
   }
 
   /**
@@ -389,11 +503,42 @@ class WebARApp {
   }
 
   onSessionEnded() {
+    this.saveCurrentLayout();
+    this.dropLayoutRestore();
+    this.updateOcclusionButton();
     this.logger.logSessionEnd();
     this.uiController.hideARUI();
     this.uiController.showLoadingScreen();
   }
 
+  /**
+   * Toggle depth occlusion from the controls panel
+   */
+  toggleOcclusion() {
+    const occlusion = this.arSession?.depthOcclusion;
+    if (!occlusion?.supported) return;
+    
+    const active = occlusion.setActive(!occlusion.active);
+    this.logger.event('USER_ACTION', 'Occlusion toggled', { active });
+    this.updateOcclusionButton();
+    this.uiController.showToast(active
+      ? 'Real objects now hide the model'
+      : 'Occlusion off - the model is always drawn in front', 'info');
+  }
+  
+  /**
+   * Show the occlusion toggle only when depth sensing is available
+   */
+  updateOcclusionButton() {
+    const btn = document.getElementById('occlusion-btn');
+    if (!btn) return;
+    const occlusion = this.arSession?.depthOcclusion;
+    const supported = !!occlusion?.supported;
+    btn.classList.toggle('hidden', !supported);
+    btn.classList.toggle('active', supported && occlusion.active);
+    btn.setAttribute('aria-pressed', String(supported && occlusion.active));
+  }
+
   async onModelSelect(modelConfig) {
     // Ignore if already loading
     if (this.isModelLoading) {
@@ -410,9 +555,22 @@ class WebARApp {
     });
     this.gallery.hide();
     
+    if (this.sceneMode && this.modelIsPlaced && !this.sceneManager.hasRoom()) {
+      this.uiController.showToast('The scene is full - delete a model first', 'warning');
+      return;
+    }
+    
     // Detect "switch in place" intent: if a model was already placed at a known position,
     // the new model should appear at the same spot without requiring rescan/tap
-    const shouldSwitchInPlace = this.modelIsPlaced && this.lastPlacedHitPosition && !this.isRepositioning;
+    // A model for another kind of surface (e.g. wall art replacing a sofa) needs a new placement
+    const placementType = this.getPlacementType(modelConfig);
+    this.arSession?.setPlacementType(placementType);
+    // In scene mode the new model is added instead: it needs its own spot
+    const shouldSwitchInPlace = this.modelIsPlaced && this.lastPlacedHitPosition && !this.isRepositioning
+      && !this.sceneMode && isSurfaceCompatible(placementType, this.lastPlacedHitPosition.surface);
+    
+    // Scene mode: the placed model stays where it is
+    this.keepInScene();
     
     if (shouldSwitchInPlace) {
       this.logger.info('MODEL_SWITCH', 'Switch in place mode - will place at previous location', {
@@ -420,10 +578,11 @@ class WebARApp {
       });
     }
     
-    // Check if this model is already cached (parsed and ready)
+    // Check if this model is already cached (parsed and ready). Outdated
+    // entries (kept for placed copies) are loaded again.
     const cachedModel = this.modelEntityCache.get(modelConfig.id);
     
-    if (cachedModel && cachedModel.isReady) {
+    if (cachedModel && cachedModel.isReady && !cachedModel.outdated) {
       // INSTANT SWITCH: Model is already parsed, just swap visibility
       this.logger.info('MODEL_CACHE', 'Using cached model entity - instant switch', { 
         modelId: modelConfig.id 
@@ -443,12 +602,12 @@ class WebARApp {
       if (shouldSwitchInPlace) {
         // SWITCH IN PLACE: Place the new model at the stored hit position
         const floorOffset = parseFloat(cachedModel.entity.dataset.floorOffset) || 0;
-        const adjustedY = this.lastPlacedHitPosition.y + floorOffset;
-        const posString = `${this.lastPlacedHitPosition.x} ${adjustedY} ${this.lastPlacedHitPosition.z}`;
+        const placed = this.placeOnSurface(this.currentModel, this.lastPlacedHitPosition);
+        const posString = `${placed.x} ${placed.y} ${placed.z}`;
         
-        this.currentModel.setAttribute('position', posString);
         this.currentModel.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
+        this.anchorPlacedModel(this.currentModel, this.lastPlacedHitPosition);
         
         // Keep reticle and placement disabled (model is already placed)
         this.arSession.setReticleEnabled(false);
@@ -456,6 +615,7 @@ class WebARApp {
         
         // Attach gesture handler
         this.gestureHandler.attachToModel(this.currentModel);
+        this.updateSceneToolbar();
         
         this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
         
@@ -472,17 +632,18 @@ class WebARApp {
         // AUTO-PLACE: first model loaded from cache after user tapped reticle
         const floorOffset = parseFloat(cachedModel.entity.dataset.floorOffset) || 0;
         const hitPos = this.pendingFirstPlacement;
-        const adjustedY = hitPos.y + floorOffset;
-        const posString = `${hitPos.x} ${adjustedY} ${hitPos.z}`;
+        const placed = this.placeOnSurface(this.currentModel, hitPos);
+        const posString = `${placed.x} ${placed.y} ${placed.z}`;
         
-        this.currentModel.setAttribute('position', posString);
         this.currentModel.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
+        this.anchorPlacedModel(this.currentModel, hitPos);
         
         this.arSession.setReticleEnabled(false);
         this.arSession.setPlacementEnabled(false);
         
         this.gestureHandler.attachToModel(this.currentModel);
+        this.updateSceneToolbar();
         
         this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
         
@@ -492,6 +653,7 @@ class WebARApp {
         
         this.lastPlacedHitPosition = { ...this.pendingFirstPlacement };
         this.pendingFirstPlacement = null;
+        this.applyLayoutRestore(this.currentModel, modelConfig.id);
         
         this.logger.info('MODEL_PLACE', 'Cached model auto-placed at first tap position', {
           position: posString,
@@ -516,6 +678,7 @@ class WebARApp {
         }
       }
       
+      this.schedulePrefetch();
       return;
     }
     
@@ -556,8 +719,10 @@ class WebARApp {
     this.uiController.showLoadingInstructions(modelConfig.name);
     
     try {
-      const modelUrl = modelConfig.url;
-      await this.loadAndCacheModel(modelUrl, modelConfig);
+      const variant = this.modelLoader.selectVariant(modelConfig);
+      // Free the bandwidth for this model (a running prefetch of it is joined)
+      this.prefetcher?.cancel(variant.url);
+      await this.loadAndCacheModel(variant.url, modelConfig, variant);
       
       // Check if loading was cancelled
       if (this.loadingCancelled) {
@@ -575,12 +740,24 @@ class WebARApp {
         return;
       }
       
+      // Declining a large download behaves like pressing cancel
+      if (error.code === 'DOWNLOAD_DECLINED') {
+        this.cancelModelLoading();
+        return;
+      }
+      
       this.logger.logModelError(modelConfig.name, error, {
         url: modelConfig.url,
         httpStatus: error.message.match(/HTTP (\d+)/)?.[1],
         loadTime: Date.now() - startTime
       });
-      this.uiController.showToast('Failed to load model', 'error', { title: 'Error' });
+      if (error.code === 'MODEL_TOO_LARGE') {
+        this.uiController.showToast(error.message, 'error', { title: 'Model too large' });
+      } else if (error.code === 'INTEGRITY_MISMATCH') {
+        this.uiController.showToast('Downloaded file failed verification', 'error', { title: 'Corrupt model' });
+      } else {
+        this.uiController.showToast('Failed to load model', 'error', { title: 'Error' });
+      }
       this.uiController.hideInstructions();
       
       // Re-enable controls on fetch error
@@ -644,9 +821,10 @@ class WebARApp {
     
     // Remove the partially loaded entity if it exists
     if (this.currentModel && !this.modelEntityCache.get(this.activeModelId)?.isReady) {
-      // Entity was created but not fully loaded - remove it
-      this.currentModel.parentNode?.removeChild(this.currentModel);
-      this.modelEntityCache.delete(this.activeModelId);
+      // Entity was created but not fully loaded - remove and dispose it
+      if (!this.modelEntityCache.delete(this.activeModelId)) {
+        this.currentModel.parentNode?.removeChild(this.currentModel);
+      }
     }
     
     // Restore previous model state
@@ -661,6 +839,8 @@ class WebARApp {
         this.currentModel = cached.entity;
         this.currentModelConfig = this.previousModelState.config;
         this.activeModelId = this.previousModelState.modelId;
+        this.modelEntityCache.touch(this.activeModelId);
+        this.uiController.setModelInfo(cached.config.name, cached.report);
         
         // Restore position/scale/rotation if it was placed
         if (this.previousModelState.wasPlaced) {
@@ -669,9 +849,11 @@ class WebARApp {
           this.currentModel.setAttribute('rotation', this.previousModelState.rotation);
           this.currentModel.setAttribute('visible', 'true');
           this.modelIsPlaced = true;
+          this.anchorPlacedModel(this.currentModel, this.lastPlacedHitPosition);
           
           // Re-attach gesture handler
           this.gestureHandler.attachToModel(this.currentModel);
+          this.updateSceneToolbar();
           
           // Setup layer controls if needed
           // Restore layer controls from cached layers
@@ -709,6 +891,13 @@ class WebARApp {
     // Clear previous state
     this.previousModelState = null;
     this.pendingFirstPlacement = null;
+    this.dropLayoutRestore();
+    
+    // Scene mode: the model that was selected before is selected again
+    const lastInstance = this.sceneMode && !this.modelIsPlaced ? this.sceneManager.getLast() : null;
+    if (lastInstance) {
+      this.selectSceneInstance(lastInstance, { quiet: true });
+    }
   }
 
   /**
@@ -718,12 +907,14 @@ class WebARApp {
     if (this.currentModel) {
       // Detach gesture handler from current model
       this.gestureHandler?.detach();
+      this.releaseModelAnchor();
       
       // Hide the model but keep it in DOM (cached)
       this.currentModel.setAttribute('visible', 'false');
       
       // Reset placement state
       this.modelIsPlaced = false;
+      this.updateSceneToolbar();
       
       // Hide layer controls (will be re-shown for new model if it has layers)
       const layerToggleBtn = document.getElementById('layer-toggle-btn');
@@ -740,6 +931,599 @@ class WebARApp {
     }
   }
 
+  /**
+   * Attach a placed model to an XR anchor at its hit position so it stays put
+   * while tracking refines the local reference space. Without anchor support
+   * the model keeps the position it was given.
+   */
+  anchorPlacedModel(entity, hitPosition) {
+    if (!entity?.object3D || !hitPosition) return;
+    this.arSession?.anchorObject(entity.object3D, hitPosition);
+  }
+
+  /**
+   * Release the current model's anchor. The anchor's latest pose becomes the
+   * switch-in-place position, so the next model lands where this one was shown.
+   */
+  releaseModelAnchor() {
+    if (!this.currentModel?.object3D) return;
+    const anchoredHit = this.arSession?.detachAnchor(this.currentModel.object3D);
+    if (anchoredHit && this.lastPlacedHitPosition) {
+      // Keep the surface and normal of the original hit
+      this.lastPlacedHitPosition = { ...this.lastPlacedHitPosition, ...anchoredHit };
+    }
+  }
+
+  /**
+   * Model a one-finger drag may move (see ARSession.getDraggableObject)
+   */
+  getDraggableObject() {
+    if (!this.currentModel || !this.modelIsPlaced || this.isModelLoading || this.isRepositioning) {
+      return null;
+    }
+    return this.currentModel.object3D;
+  }
+
+  /**
+   * Drag started on the placed model: free it from its anchor and stop
+   * one-finger rotation for the duration of the drag. The model keeps its
+   * offset from the grabbed point, so it does not jump under the finger.
+   * @param {{x: number, y: number, z: number}} hit - Surface hit where the finger went down
+   */
+  onDragStart(hit) {
+    this.dragHit = null;
+    this.releaseModelAnchor();
+    this.gestureHandler?.setDragging(true);
+    
+    const anchor = this.lastPlacedHitPosition;
+    this.dragOffset = anchor && hit
+      ? { x: anchor.x - hit.x, y: anchor.y - hit.y, z: anchor.z - hit.z }
+      : { x: 0, y: 0, z: 0 };
+  }
+
+  /**
+   * Slide the dragged model to the surface hit under the finger. The model
+   * stays on the kind of surface it was placed on; floor models keep their
+   * floor offset and wall models their spin.
+   * @param {{x: number, y: number, z: number, surface: string, normal: object}} hit - Raw hit
+   */
+  onDragMove(hit) {
+    const entity = this.currentModel;
+    if (!entity || !this.modelIsPlaced || !this.dragOffset) return;
+    if (hit.surface !== (entity.dataset.surface || 'floor')) return;
+    
+    // Floors take their height from the hit (the model may slide onto a
+    // table); on walls the offset lies in the wall plane
+    const offset = this.dragOffset;
+    const target = {
+      ...hit,
+      x: hit.x + offset.x,
+      y: hit.surface === 'wall' ? hit.y + offset.y : hit.y,
+      z: hit.z + offset.z
+    };
+    const spin = entity.getAttribute('rotation').z;
+    this.placeOnSurface(entity, target);
+    if (target.surface === 'wall') {
+      const rotation = entity.getAttribute('rotation');
+      entity.setAttribute('rotation', { x: rotation.x, y: rotation.y, z: spin });
+    }
+    this.dragHit = target;
+  }
+
+  /**
+   * Drag ended: the last hit becomes the placement position and the model is
+   * anchored there
+   */
+  onDragEnd() {
+    this.gestureHandler?.setDragging(false);
+    this.dragOffset = null;
+    if (!this.currentModel || !this.modelIsPlaced) {
+      this.dragHit = null;
+      return;
+    }
+    
+    if (this.dragHit) {
+      this.lastPlacedHitPosition = { ...this.dragHit };
+      this.logger.event('MODEL_PLACE', 'Model dragged to new position', {
+        hitPosition: this.lastPlacedHitPosition,
+        surface: this.dragHit.surface
+      });
+    }
+    this.dragHit = null;
+    this.anchorPlacedModel(this.currentModel, this.lastPlacedHitPosition);
+  }
+
+  /**
+   * Footprint of the model waiting to be placed (see ARSession.getPlacementFootprint).
+   * Before the first tap no model is loaded yet: the footprint of the model
+   * the tap will load is used when it is known - saved with the layout being
+   * restored, or from its entity still cached from earlier in this page.
+   */
+  getPlacementFootprint() {
+    if (this.modelIsPlaced) return null;
+    if (this.currentModel) return this.getEntityFootprint(this.currentModel);
+    if (this.isModelLoading) return null;
+    
+    // Same choice as onPlaceModel
+    const layout = this.pendingLayoutRestore;
+    const models = getConfig().models || [];
+    const model = models.find(entry => entry.id === layout?.modelId) || models[0];
+    if (!model) return null;
+    if (layout?.modelId === model.id && layout.footprint) return layout.footprint;
+    
+    // Cached entities are shown again at their base scale without rotation
+    const footprint = this.modelEntityCache.get(model.id)?.entity.object3D.userData.footprint;
+    return footprint ? { ...footprint, scale: 1, rotationY: 0 } : null;
+  }
+
+  /**
+   * Floor footprint of a model entity at its current scale and rotation
+   * @param {Element} entity - Model entity
+   * @returns {{minX: number, maxX: number, minZ: number, maxZ: number, scale: number, rotationY: number}|null}
+   */
+  getEntityFootprint(entity) {
+    const object3D = entity.object3D;
+    const footprint = object3D.userData.footprint;
+    if (!footprint) return null;
+    
+    // Gestures may have scaled or turned the model since it was normalized
+    const baseScale = parseFloat(entity.dataset.baseScale) || 0;
+    return {
+      ...footprint,
+      scale: baseScale > 0 ? object3D.scale.x / baseScale : 1,
+      rotationY: object3D.rotation.y
+    };
+  }
+
+  /**
+   * Surfaces a model can be placed on: its `placement` field, else the
+   * default derived from config.ar.hitTest.type
+   * @returns {string} 'floor' | 'wall' | 'any'
+   */
+  getPlacementType(modelConfig) {
+    return modelConfig?.placement || getDefaultPlacementType();
+  }
+
+  /**
+   * Position (and for walls, orient) a model at a hit. On floors the model is
+   * lifted by its floor offset. On walls its back is pushed out along the
+   * surface normal, it is centred vertically on the hit and turned to face
+   * away from the wall.
+   * @param {Element} entity - Model entity
+   * @param {{x: number, y: number, z: number, surface?: string, normal?: object}} hit - Hit position
+   * @returns {{x: number, y: number, z: number}} Final model position
+   */
+  placeOnSurface(entity, hit) {
+    const normal = hit.normal;
+    let position;
+    
+    if (hit.surface === 'wall' && normal) {
+      const wallOffset = parseFloat(entity.dataset.wallOffset) || 0;
+      const centerOffset = parseFloat(entity.dataset.wallCenterOffset) || 0;
+      position = {
+        x: hit.x + normal.x * wallOffset,
+        y: hit.y + centerOffset,
+        z: hit.z + normal.z * wallOffset
+      };
+      const yaw = THREE.MathUtils.radToDeg(Math.atan2(normal.x, normal.z));
+      entity.setAttribute('rotation', { x: 0, y: yaw, z: 0 });
+      entity.dataset.surface = 'wall';
+    } else {
+      const floorOffset = parseFloat(entity.dataset.floorOffset) || 0;
+      position = { x: hit.x, y: hit.y + floorOffset, z: hit.z };
+      entity.dataset.surface = 'floor';
+    }
+    
+    entity.setAttribute('position', position);
+    return position;
+  }
+
+  /**
+   * Save the placed model's layout so the next session can restore it.
+   * Local files are skipped (their blob URLs do not outlive the page).
+   */
+  saveCurrentLayout() {
+    if (!this.modelIsPlaced || !this.currentModel || !this.activeModelId) return;
+    if (this.currentModelConfig?.local) return;
+    
+    const layers = this.getLayerStates(this.currentModel, this.modelEntityCache.get(this.activeModelId)?.layers);
+    
+    const rotation = this.currentModel.getAttribute('rotation');
+    const scale = this.currentModel.getAttribute('scale');
+    const layout = {
+      modelId: this.activeModelId,
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+      scale: { x: scale.x, y: scale.y, z: scale.z },
+      layers,
+      footprint: this.getEntityFootprint(this.currentModel),
+      anchorHandle: this.arSession?.getPersistentHandle(this.currentModel.object3D) || null
+    };
+    saveLayout(layout);
+    this.logger.info('LAYOUT', 'Layout saved', {
+      modelId: layout.modelId,
+      persistentAnchor: !!layout.anchorHandle
+    });
+  }
+
+  /**
+   * Offer to restore the layout saved in an earlier session. With a
+   * persistent anchor the model returns to the same spot once the device
+   * re-localizes; otherwise the user places it at the reticle and the saved
+   * rotation, scale and layers are applied.
+   */
+  async offerLayoutRestore() {
+    const layout = loadLayout();
+    if (!layout) return;
+    
+    const model = getConfig().models?.find(entry => entry.id === layout.modelId);
+    if (!model) {
+      this.logger.info('LAYOUT', 'Saved layout ignored - model no longer in the catalog', {
+        modelId: layout.modelId
+      });
+      return;
+    }
+    
+    const restore = await this.uiController.showConfirm(`Continue with ${model.name} where you left it?`, {
+      title: 'Restore last layout',
+      confirmText: 'Restore',
+      cancelText: 'Start fresh'
+    });
+    // The tap on the dialog must not also place a model
+    this.arSession.suppressPlacement(500);
+    
+    if (!restore) {
+      this.arSession.deletePersistentAnchor(layout.anchorHandle);
+      clearLayout();
+      this.logger.info('LAYOUT', 'Saved layout discarded');
+      return;
+    }
+    if (this.currentModel || this.isModelLoading) {
+      this.logger.info('LAYOUT', 'Layout restore skipped - a model was already selected');
+      return;
+    }
+    
+    this.pendingLayoutRestore = { ...layout, anchor: null };
+    this.arSession.setPlacementType(this.getPlacementType(model));
+    this.logger.event('USER_ACTION', 'Restoring last layout', {
+      modelId: layout.modelId,
+      persistentAnchor: !!layout.anchorHandle
+    });
+    
+    if (layout.anchorHandle) {
+      this.uiController.showInstructions('Looking for the saved position - move your phone slowly');
+      const restored = await this.arSession.restorePersistentAnchor(layout.anchorHandle);
+      
+      // The user may have placed a model (or cancelled) meanwhile
+      const stillPending = this.pendingLayoutRestore?.modelId === layout.modelId
+        && !this.currentModel && !this.isModelLoading;
+      if (restored && stillPending) {
+        this.pendingLayoutRestore.anchor = restored.anchor;
+        this.pendingFirstPlacement = restored.position;
+        this.onModelSelect(model);
+        return;
+      }
+      if (restored) {
+        try { restored.anchor.delete(); } catch (_) { /* ignore */ }
+      }
+      // The saved anchor will not be used again - a new one is created on placement
+      this.arSession.deletePersistentAnchor(layout.anchorHandle);
+      if (!stillPending) return;
+    }
+    
+    this.uiController.showInstructions(`Tap the reticle to place ${model.name}`);
+  }
+
+  /**
+   * Apply the pending layout restore to a model that was just auto-placed
+   * @param {Element} entity - Placed model entity
+   * @param {string} modelId - Its model ID
+   */
+  applyLayoutRestore(entity, modelId) {
+    const layout = this.pendingLayoutRestore;
+    if (!layout) return;
+    if (layout.modelId !== modelId) {
+      this.dropLayoutRestore();
+      return;
+    }
+    this.pendingLayoutRestore = null;
+    
+    if (layout.rotation) {
+      // On walls the facing comes from the new hit; only the spin is restored
+      const rotation = entity.dataset.surface === 'wall'
+        ? { ...entity.getAttribute('rotation'), z: layout.rotation.z }
+        : layout.rotation;
+      entity.setAttribute('rotation', rotation);
+    }
+    if (layout.scale) entity.setAttribute('scale', layout.scale);
+    
+    // Keep following the restored anchor instead of the one just requested
+    if (layout.anchor) {
+      this.arSession.anchorObject(entity.object3D, this.lastPlacedHitPosition, {
+        anchor: layout.anchor,
+        persistentHandle: layout.anchorHandle
+      });
+    }
+    
+    this.applyLayerStates(layout.layers);
+    
+    this.uiController.showToast('Last layout restored', 'success');
+    this.logger.success('LAYOUT', 'Layout restored', {
+      modelId,
+      source: layout.anchor ? 'persistent anchor' : 'reticle'
+    });
+  }
+
+  /**
+   * Abandon a pending layout restore (and its restored anchor)
+   */
+  dropLayoutRestore() {
+    if (!this.pendingLayoutRestore) return;
+    try { this.pendingLayoutRestore.anchor?.delete(); } catch (_) { /* ignore */ }
+    this.pendingLayoutRestore = null;
+  }
+
+  /**
+   * Visibility of a model's layers
+   * @param {Element} entity - Model entity (cached or scene instance)
+   * @param {Array<{name: string, node: string}>} layers - Its layers
+   * @returns {Object<string, boolean>} Node name -> visible
+   */
+  getLayerStates(entity, layers = []) {
+    const states = {};
+    const mesh = entity.getObject3D('mesh');
+    if (mesh) {
+      (layers || []).forEach(layer => {
+        const node = mesh.getObjectByName(layer.node);
+        if (node) states[layer.node] = node.visible;
+      });
+    }
+    return states;
+  }
+
+  /**
+   * Hide the current model's layers that are off in `states` and sync the
+   * layer buttons (call after setupLayerControls)
+   * @param {Object<string, boolean>} states - Node name -> visible
+   */
+  applyLayerStates(states) {
+    const layerButtons = document.querySelectorAll('#layer-buttons .layer-btn');
+    Object.entries(states || {}).forEach(([nodeName, visible]) => {
+      if (visible) return;
+      this.toggleLayer(nodeName, false);
+      layerButtons.forEach(button => {
+        if (button.dataset.layerName === nodeName) {
+          button.dataset.active = 'false';
+          button.classList.remove('active');
+        }
+      });
+    });
+  }
+
+  /**
+   * Switch between replacing the placed model and adding to the scene.
+   * Leaving scene mode removes every model except the selected one.
+   * @param {boolean} sceneMode - True when gallery selections add models
+   */
+  async setSceneMode(sceneMode) {
+    if (sceneMode === this.sceneMode) return;
+    
+    const others = this.sceneManager.size;
+    if (!sceneMode && others > 0) {
+      const leave = await this.uiController.showConfirm(
+        `Only the selected model stays. ${others} other model${others !== 1 ? 's' : ''} will be removed.`,
+        { title: 'Leave scene mode', confirmText: 'Remove', cancelText: 'Keep scene' }
+      );
+      this.arSession?.suppressPlacement(500);
+      if (!leave) {
+        this.gallery.setSceneMode(true);
+        return;
+      }
+      this.sceneManager.clear();
+    }
+    
+    this.sceneMode = sceneMode;
+    this.logger.event('USER_ACTION', sceneMode ? 'Scene mode on' : 'Scene mode off', { removed: sceneMode ? 0 : others });
+    this.updateSceneToolbar();
+  }
+
+  /**
+   * Scene mode: leave a copy of the placed model where it is (anchored at the
+   * same spot) and hide the cached entity so it can be placed or selected again
+   * @returns {object|null} The new instance
+   */
+  keepInScene() {
+    if (!this.sceneMode || !this.modelIsPlaced || !this.currentModel) return null;
+    
+    this.releaseModelAnchor();
+    const instance = this.sceneManager.add(this.currentModel, {
+      modelId: this.activeModelId,
+      config: this.currentModelConfig,
+      hitPosition: this.lastPlacedHitPosition
+    });
+    if (instance) {
+      this.anchorPlacedModel(instance.entity, instance.hitPosition);
+    }
+    this.hideCurrentModel();
+    return instance;
+  }
+
+  /**
+   * Re-point the placed copies of a model at its newly loaded cached entity
+   * (another quality or new content). Copies stay where they are; floor
+   * offset, scale and layer visibility carry over to the new entity.
+   * @param {string} modelId
+   * @param {Element} source - Ready cached entity
+   * @param {Array} layers - Toggleable layers of the model
+   */
+  updateSceneInstances(modelId, source, layers) {
+    let updated = 0;
+    for (const instance of this.sceneManager.getInstances(modelId)) {
+      const entity = instance.entity;
+      const layerStates = this.getLayerStates(entity, layers);
+      const rotation = entity.getAttribute('rotation');
+      const spin = { x: rotation.x, y: rotation.y, z: rotation.z };
+      if (!this.sceneManager.setSource(instance, source)) continue;
+      
+      const anchoredHit = this.arSession?.detachAnchor(entity.object3D);
+      instance.hitPosition = { ...instance.hitPosition, ...anchoredHit };
+      this.placeOnSurface(entity, instance.hitPosition);
+      entity.setAttribute('rotation', spin);
+      const mesh = entity.getObject3D('mesh');
+      Object.entries(layerStates).forEach(([nodeName, visible]) => {
+        const node = mesh.getObjectByName(nodeName);
+        if (node) node.visible = visible;
+      });
+      this.anchorPlacedModel(entity, instance.hitPosition);
+      updated++;
+    }
+    if (updated > 0) {
+      this.logger.info('SCENE', 'Placed copies updated to the reloaded model', { modelId, count: updated });
+    }
+  }
+
+  /**
+   * Scene mode: select a placed model. The selected one stays as an instance,
+   * and the cached entity takes over the tapped instance's transform, layers
+   * and anchor point, so gestures, layer controls and Reposition act on it.
+   * @param {object} instance - Scene instance (see SceneManager)
+   * @param {object} options
+   * @param {boolean} options.quiet - No toast
+   */
+  selectSceneInstance(instance, { quiet = false } = {}) {
+    if (this.isModelLoading || this.isRepositioning) {
+      this.logger.info('USER_ACTION', 'Selection ignored - model loading or repositioning');
+      return;
+    }
+    const cached = this.modelEntityCache.get(instance.modelId);
+    if (!cached?.isReady) {
+      this.logger.warning('SCENE', 'Selection ignored - model entity not cached', { modelId: instance.modelId });
+      return;
+    }
+    
+    if (!this.keepInScene()) {
+      this.hideCurrentModel();
+    }
+    
+    // Read the instance before it leaves the scene
+    const source = instance.entity;
+    const anchoredHit = this.arSession.detachAnchor(source.object3D);
+    const { x, y, z } = source.object3D.position;
+    const rotation = source.getAttribute('rotation');
+    const scale = source.getAttribute('scale');
+    const surface = source.dataset.surface;
+    const layerStates = this.getLayerStates(source, cached.layers);
+    this.sceneManager.remove(instance.id);
+    
+    this.activateCachedModel(instance.modelId, cached);
+    const entity = this.currentModel;
+    entity.setAttribute('position', { x, y, z });
+    entity.setAttribute('rotation', { x: rotation.x, y: rotation.y, z: rotation.z });
+    entity.setAttribute('scale', { x: scale.x, y: scale.y, z: scale.z });
+    entity.dataset.surface = surface;
+    entity.setAttribute('visible', 'true');
+    this.modelIsPlaced = true;
+    
+    // Keep the surface and normal of the original hit
+    this.lastPlacedHitPosition = { ...instance.hitPosition, ...anchoredHit };
+    this.anchorPlacedModel(entity, this.lastPlacedHitPosition);
+    
+    this.arSession.setPlacementType(this.getPlacementType(cached.config));
+    this.arSession.setReticleEnabled(false);
+    this.arSession.setPlacementEnabled(false);
+    
+    this.gestureHandler.attachToModel(entity);
+    this.updateSceneToolbar();
+    
+    if (cached.layers && cached.layers.length > 0) {
+      this.setupLayerControls(cached.layers);
+      this.applyLayerStates(layerStates);
+    }
+    
+    if (!quiet) {
+      this.uiController.showToast(`${cached.config.name} selected`, 'info');
+    }
+    this.logger.event('SCENE', 'Model selected', { modelId: instance.modelId, instanceId: instance.id });
+  }
+
+  /**
+   * Scene mode: add a copy of the selected model. The copy keeps the current
+   * spot and the selected model moves aside by its own width.
+   */
+  duplicateSelectedModel() {
+    if (!this.sceneMode || !this.modelIsPlaced || !this.currentModel || !this.lastPlacedHitPosition) return;
+    if (this.isModelLoading || this.isRepositioning) return;
+    if (!this.sceneManager.hasRoom()) {
+      this.uiController.showToast('The scene is full - delete a model first', 'warning');
+      return;
+    }
+    
+    const entity = this.currentModel;
+    const object3D = entity.object3D;
+    const footprint = object3D.userData.footprint;
+    const baseScale = parseFloat(entity.dataset.baseScale) || 0;
+    const scale = baseScale > 0 ? object3D.scale.x / baseScale : 1;
+    const width = footprint ? (footprint.maxX - footprint.minX) * scale : 0;
+    
+    // Along the model's own X axis: sideways on a floor, along the wall on a wall
+    const shift = new THREE.Vector3(1, 0, 0).applyQuaternion(object3D.quaternion);
+    if (entity.dataset.surface !== 'wall') shift.y = 0;
+    shift.normalize().multiplyScalar(width + DUPLICATE_GAP);
+    
+    this.releaseModelAnchor();
+    const hit = this.lastPlacedHitPosition;
+    const instance = this.sceneManager.add(entity, {
+      modelId: this.activeModelId,
+      config: this.currentModelConfig,
+      hitPosition: hit
+    });
+    if (!instance) return;
+    this.anchorPlacedModel(instance.entity, hit);
+    
+    const { x, y, z } = object3D.position;
+    entity.setAttribute('position', { x: x + shift.x, y: y + shift.y, z: z + shift.z });
+    this.lastPlacedHitPosition = { ...hit, x: hit.x + shift.x, y: hit.y + shift.y, z: hit.z + shift.z };
+    this.anchorPlacedModel(entity, this.lastPlacedHitPosition);
+    
+    this.arSession.suppressPlacement(300);
+    this.updateSceneToolbar();
+    this.uiController.showToast('Copy added', 'success');
+    this.logger.event('SCENE', 'Model duplicated', { modelId: this.activeModelId, total: this.sceneManager.size + 1 });
+  }
+
+  /**
+   * Remove the selected model. In scene mode the most recently placed
+   * remaining model becomes the selection.
+   */
+  deleteSelectedModel() {
+    if (!this.modelIsPlaced || !this.currentModel || this.isModelLoading || this.isRepositioning) return;
+    
+    const next = this.sceneManager.getLast();
+    this.logger.event('SCENE', 'Model deleted', { modelId: this.activeModelId, remaining: this.sceneManager.size });
+    if (!next) {
+      this.clearModel();
+      return;
+    }
+    this.clearModel(true);
+    this.selectSceneInstance(next, { quiet: true });
+    this.uiController.showToast('Model deleted', 'info');
+  }
+
+  /**
+   * Show the scene toolbar while a model is selected in scene mode
+   */
+  updateSceneToolbar() {
+    const toolbar = document.getElementById('scene-toolbar');
+    if (!toolbar || !this.sceneManager) return;
+    
+    toolbar.classList.toggle('hidden', !(this.sceneMode && this.modelIsPlaced && this.currentModel));
+    const count = document.getElementById('scene-count');
+    if (count) {
+      count.textContent = `${this.sceneManager.size + (this.modelIsPlaced ? 1 : 0)} in scene`;
+    }
+    const duplicateBtn = document.getElementById('scene-duplicate-btn');
+    if (duplicateBtn) duplicateBtn.disabled = !this.sceneManager.hasRoom();
+  }
+
   /**
    * Activate a cached model entity
    */
@@ -748,6 +1532,8 @@ class WebARApp {
     this.currentModelConfig = cachedModel.config;
     this.activeModelId = modelId;
     this.modelIsPlaced = false;
+    this.modelEntityCache.touch(modelId);
+    this.uiController.setModelInfo(cachedModel.config.name, cachedModel.report);
     
     // Reset to normalized base scale and zero rotation for consistent sizing
     const baseScale = parseFloat(cachedModel.entity.dataset.baseScale);
@@ -767,8 +1553,9 @@ class WebARApp {
    * Load a model and cache the parsed entity for instant switching
    * @param {string} url - Model URL
    * @param {object} config - Model configuration
+   * @param {object|null} variant - Quality variant from ModelLoader.selectVariant()
    */
-  async loadAndCacheModel(url, config) {
+  async loadAndCacheModel(url, config, variant = null) {
     const container = document.getElementById('model-container');
     const startTime = Date.now();
     
@@ -787,6 +1574,7 @@ class WebARApp {
       fullUrl: new URL(url, window.location.origin).href,
       modelName: config.name,
       modelId: config.id,
+      quality: variant?.tier || null,
       timestamp: startTime
     });
     
@@ -794,19 +1582,33 @@ class WebARApp {
     
     try {
       // Use ModelLoader to fetch with progress tracking (downloads are cached)
-      modelUrl = await this.modelLoader.loadModel(url, (progress, received, total) => {
-        this.uiController.updateModelLoadingProgress(loadingIndicator, progress, received);
-        if (progress >= 0) {
+      modelUrl = await this.modelLoader.loadModel(url, (progress, received, total, retryState) => {
+        this.uiController.updateModelLoadingProgress(loadingIndicator, progress, received, retryState);
+        if (retryState?.retrying) {
+          this.logger.info('MODEL_LOAD', 'Reconnecting...', retryState);
+        } else if (progress >= 0) {
           this.logger.info('MODEL_LOAD', `Loading progress: ${progress}%`, { received, total });
         }
+      }, {
+        version: variant?.version ?? getContentVersion(config),
+        expectedSize: variant?.size != null ? variant.size * 1024 * 1024 : null,
+        confirmDownload: (bytes) => this.confirmLargeDownload(config, bytes),
+        integrity: variant?.integrity ?? { sha256: config.sha256 ?? null, sizeBytes: config.sizeBytes ?? null }
       });
       
       this.logger.success('MODEL_LOAD', 'Model fetched successfully', { objectUrl: modelUrl });
       
     } catch (fetchError) {
-      this.logger.logModelError(config.name, fetchError);
       this.uiController.removeModelLoadingIndicator(loadingIndicator);
-      this.uiController.showInstructions('Failed to download model. Check network connection.');
+      if (fetchError.code !== 'DOWNLOAD_DECLINED') {
+        this.logger.logModelError(config.name, fetchError);
+        const instructions = {
+          MODEL_TOO_LARGE: 'This model is too large for this app.',
+          INTEGRITY_MISMATCH: 'The downloaded model file is corrupt.'
+        };
+        this.uiController.showInstructions(instructions[fetchError.code]
+          || 'Failed to download model. Check network connection.');
+      }
       throw fetchError;
     }
     
@@ -825,7 +1627,8 @@ class WebARApp {
     
     container.appendChild(modelEntity);
     
-    // Set as current model and track active ID
+    // Set as current model and track active ID (info sheet follows once parsed)
+    this.uiController.setModelInfo(null, null);
     this.currentModel = modelEntity;
     this.currentModelConfig = config;
     this.activeModelId = config.id;
@@ -834,15 +1637,17 @@ class WebARApp {
     this.modelEntityCache.set(config.id, {
       entity: modelEntity,
       config: config,
-      isReady: false
+      isReady: false,
+      quality: variant?.tier || null
     });
     
     // Listen for model loaded (A-Frame parsed the glTF)
-    modelEntity.addEventListener('model-loaded', () => {
+    modelEntity.addEventListener('model-loaded', async () => {
       this.uiController.removeModelLoadingIndicator(loadingIndicator);
       
       // Get the Three.js mesh for bounding box calculation
       const mesh = modelEntity.getObject3D('mesh');
+      let rawSize = null;
       if (mesh) {
         // Ensure world matrices are up-to-date before computing bounding box
         mesh.updateWorldMatrix(true, true);
@@ -851,6 +1656,7 @@ class WebARApp {
         const boundingBox = new THREE.Box3().setFromObject(mesh);
         const modelSize = new THREE.Vector3();
         boundingBox.getSize(modelSize);
+        rawSize = modelSize;
         const modelCenter = new THREE.Vector3();
         boundingBox.getCenter(modelCenter);
         
@@ -896,6 +1702,19 @@ class WebARApp {
           modelEntity.dataset.baseScale = scaleFactor;
           modelEntity.dataset.floorOffset = clampedFloorOffset;
           
+          // Wall placement: distance from the origin to the model's back (-Z)
+          // and the lift that centres it vertically on the hit point
+          modelEntity.dataset.wallOffset = Math.min(Math.max(-scaledBoundingBox.min.z, 0), maxReasonableOffset);
+          modelEntity.dataset.wallCenterOffset = -(scaledBoundingBox.min.y + scaledBoundingBox.max.y) / 2;
+          
+          // Floor footprint at the normalized scale, checked against detected planes
+          modelEntity.object3D.userData.footprint = {
+            minX: scaledBoundingBox.min.x,
+            maxX: scaledBoundingBox.max.x,
+            minZ: scaledBoundingBox.min.z,
+            maxZ: scaledBoundingBox.max.z
+          };
+          
           this.logger.info('MODEL_PIVOT', 'Floor offset calculated', {
             scaledBoundingBoxMinY: scaledBoundingBox.min.y,
             clampedFloorOffset: clampedFloorOffset
@@ -908,16 +1727,48 @@ class WebARApp {
         ? config.layers
         : this.discoverModelLayers(modelEntity);
       
+      // Shrink oversized textures before the model is shown, placed or copied
+      await this.downscaleModelTextures(config, mesh);
+      // Dropped from the cache while downscaling (evicted or cancelled)
+      if (this.modelEntityCache.get(config.id)?.entity !== modelEntity) return;
+      
+      // Validation report (document issues from the download + parsed scene)
+      const report = mesh ? createValidationReport({
+        object3D: mesh,
+        documentIssues: this.modelLoader.getModelInfo(url)?.issues || [],
+        rawSize,
+        maxTextureSize: getConfig().performance.maxTextureSize
+      }) : null;
+      // Let real objects in front of the model hide it (no-op until depth data arrives)
+      if (mesh) {
+        this.arSession?.depthOcclusion.patchObject(mesh);
+      }
+      
+      if (report) {
+        this.logValidationReport(config, report);
+        if (this.activeModelId === config.id) {
+          this.uiController.setModelInfo(config.name, report);
+        }
+      }
+      
       // IMPORTANT: Mark entity as ready in cache (including discovered layers)
       const cachedEntry = this.modelEntityCache.get(config.id);
       if (cachedEntry) {
         cachedEntry.isReady = true;
         cachedEntry.layers = modelLayers;
+        cachedEntry.report = report;
         this.logger.info('MODEL_CACHE', 'Model cached and ready for instant switching', { 
           modelId: config.id,
           cacheSize: this.modelEntityCache.size,
           layerCount: modelLayers.length
         });
+        this.updateSceneInstances(config.id, modelEntity, modelLayers);
+        // Textures are at their final size; over budget, drop least recently
+        // used hidden models (never the active one or one that scene
+        // instances are copied from)
+        this.modelEntityCache.measure(config.id);
+        this.modelEntityCache.enforceBudget([this.activeModelId, ...this.sceneManager.getModelIds()]);
+        this.schedulePrefetch();
       }
       
       this.logger.logModelLoaded(config.name || 'Unknown');
@@ -936,12 +1787,12 @@ class WebARApp {
         // SWITCH IN PLACE: Place the new model at the stored hit position
         const floorOffset = parseFloat(modelEntity.dataset.floorOffset) || 0;
         const hitPos = this.pendingSwitchInPlace.hitPosition;
-        const adjustedY = hitPos.y + floorOffset;
-        const posString = `${hitPos.x} ${adjustedY} ${hitPos.z}`;
+        const placed = this.placeOnSurface(modelEntity, hitPos);
+        const posString = `${placed.x} ${placed.y} ${placed.z}`;
         
-        modelEntity.setAttribute('position', posString);
         modelEntity.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
+        this.anchorPlacedModel(modelEntity, hitPos);
         
         // Keep reticle and placement disabled (model is already placed)
         this.arSession.setReticleEnabled(false);
@@ -949,6 +1800,7 @@ class WebARApp {
         
         // Attach gesture handler
         this.gestureHandler.attachToModel(modelEntity);
+        this.updateSceneToolbar();
         
         this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
         
@@ -968,17 +1820,18 @@ class WebARApp {
         // AUTO-PLACE: first model loaded after user tapped reticle
         const floorOffset = parseFloat(modelEntity.dataset.floorOffset) || 0;
         const hitPos = this.pendingFirstPlacement;
-        const adjustedY = hitPos.y + floorOffset;
-        const posString = `${hitPos.x} ${adjustedY} ${hitPos.z}`;
+        const placed = this.placeOnSurface(modelEntity, hitPos);
+        const posString = `${placed.x} ${placed.y} ${placed.z}`;
         
-        modelEntity.setAttribute('position', posString);
         modelEntity.setAttribute('visible', 'true');
         this.modelIsPlaced = true;
+        this.anchorPlacedModel(modelEntity, hitPos);
         
         this.arSession.setReticleEnabled(false);
         this.arSession.setPlacementEnabled(false);
         
         this.gestureHandler.attachToModel(modelEntity);
+        this.updateSceneToolbar();
         
         this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
         
@@ -988,6 +1841,7 @@ class WebARApp {
         
         this.lastPlacedHitPosition = { ...this.pendingFirstPlacement };
         this.pendingFirstPlacement = null;
+        this.applyLayoutRestore(modelEntity, config.id);
         
         this.logger.info('MODEL_PLACE', 'First model auto-placed at tap position', {
           position: posString,
@@ -1044,12 +1898,14 @@ class WebARApp {
     if (!this.currentModel) {
       const currentConfig = getConfig();
       if (currentConfig.models && currentConfig.models.length > 0) {
-        const firstModel = currentConfig.models[0];
+        // Restoring a layout without its anchor: place the saved model here
+        const firstModel = currentConfig.models.find(model => model.id === this.pendingLayoutRestore?.modelId)
+          || currentConfig.models[0];
         this.logger.info('MODEL', 'First reticle tap - loading first model from backend', {
           modelId: firstModel.id,
           modelName: firstModel.name
         });
-        this.pendingFirstPlacement = { x: position.x, y: position.y, z: position.z };
+        this.pendingFirstPlacement = { ...position };
         this.onModelSelect(firstModel);
       } else {
         this.uiController.showToast('No models available. Tap refresh to sync with backend.', 'warning');
@@ -1072,16 +1928,16 @@ class WebARApp {
     const floorOffset = parseFloat(this.currentModel.dataset.floorOffset) || 0;
     
     // Apply floor offset to Y position so model sits on the detected surface
-    const adjustedY = position.y + floorOffset;
-    const posString = `${position.x} ${adjustedY} ${position.z}`;
+    // (or push it out from a wall)
+    const placed = this.placeOnSurface(this.currentModel, position);
     
-    this.currentModel.setAttribute('position', posString);
     this.currentModel.setAttribute('visible', 'true');
     this.modelIsPlaced = true;  // Mark as placed
+    this.anchorPlacedModel(this.currentModel, position);
     
     // Store raw hit position for "switch in place" functionality
     // This allows switching models while keeping them at the same surface position
-    this.lastPlacedHitPosition = { x: position.x, y: position.y, z: position.z };
+    this.lastPlacedHitPosition = { ...position };
     
     // CRITICAL: Disable reticle and placement after model is placed
     // This prevents multiple placements and hides the reticle
@@ -1096,6 +1952,7 @@ class WebARApp {
     
     // Attach gesture handler AFTER placement (not during model-loaded)
     this.gestureHandler.attachToModel(this.currentModel);
+    this.updateSceneToolbar();
     
     // Use Three.js XR camera (not A-Frame entity) for accurate position
     const cameraWorldPos = new THREE.Vector3();
@@ -1142,7 +1999,7 @@ class WebARApp {
           description: 'Final model position after floor offset adjustment',
           rawHitY: position.y,
           floorOffset: floorOffset,
-          adjustedPosition: { x: position.x, y: adjustedY, z: position.z },
+          adjustedPosition: placed,
           units: 'meters'
         },
         modelScale: {
@@ -1161,9 +2018,9 @@ class WebARApp {
         distanceFromCamera: {
           description: 'Distance from camera to model placement point',
           distance: Math.sqrt(
-            Math.pow(position.x - cameraWorldPos.x, 2) +
-            Math.pow(adjustedY - cameraWorldPos.y, 2) +
-            Math.pow(position.z - cameraWorldPos.z, 2)
+            Math.pow(placed.x - cameraWorldPos.x, 2) +
+            Math.pow(placed.y - cameraWorldPos.y, 2) +
+            Math.pow(placed.z - cameraWorldPos.z, 2)
           ),
           units: 'meters'
         }
@@ -1173,7 +2030,7 @@ class WebARApp {
     this.logger.event('MODEL_PLACE', 'Model position updated with floor offset', {
       hitPosition: position,
       floorOffset: floorOffset,
-      finalPosition: { x: position.x, y: adjustedY, z: position.z }
+      finalPosition: placed
     });
     
     this.uiController.showSuccessInstructions('Use 2 fingers to scale and rotate or use 1 finger to rotate', 10000);
@@ -1371,13 +2228,14 @@ class WebARApp {
       
       // Detach gesture handlers
       this.gestureHandler?.detach();
+      this.releaseModelAnchor();
       
       if (removeFromCache) {
-        // Full removal: remove from DOM and cache
-        this.currentModel.parentNode.removeChild(this.currentModel);
-        if (this.activeModelId) {
-          this.modelEntityCache.delete(this.activeModelId);
+        // Full removal: remove from DOM and cache, freeing GPU resources
+        if (this.activeModelId && this.modelEntityCache.delete(this.activeModelId)) {
           this.logger.info('MODEL_CACHE', 'Model removed from cache', { modelId: this.activeModelId });
+        } else {
+          this.currentModel.parentNode?.removeChild(this.currentModel);
         }
       } else {
         // Caching: just hide the model (keep in DOM for instant switching)
@@ -1389,6 +2247,9 @@ class WebARApp {
       
       // Always reset placement state
       this.modelIsPlaced = false;
+      this.updateSceneToolbar();
+      
+      this.uiController.setModelInfo(null, null);
       
       // Hide layer controls
       const clrLayerBtn = document.getElementById('layer-toggle-btn');
@@ -1410,6 +2271,8 @@ class WebARApp {
         this.arSession.suppressPlacement(300);
         this.arSession.setReticleEnabled(true);
         this.arSession.setPlacementEnabled(true);
+        // The next tap loads the first model again
+        this.arSession.setPlacementType(this.getPlacementType(getConfig().models?.[0]));
         
         // Reset to scanning state
         if (this.surfaceDetected) {
@@ -1451,9 +2314,11 @@ class WebARApp {
     // Enter repositioning mode
     this.isRepositioning = true;
     this.modelIsPlaced = false;
+    this.updateSceneToolbar();
     
     // Detach gesture handler so hidden model doesn't eat touch events
     this.gestureHandler?.detach();
+    this.releaseModelAnchor();
     
     // Hide the model (but keep it in DOM for re-placement)
     this.currentModel.setAttribute('visible', 'false');
@@ -1487,72 +2352,129 @@ class WebARApp {
   /**
    * Refresh app config from backend: re-download config, sync images,
    * clean stale model cache entries, and update gallery.
+   * @param {object} options
+   * @param {boolean} options.live - Triggered by the catalog event stream: no spinner,
+   *   and a placed model stays in the scene even if it left the catalog
+   * @param {object|null} options.apiConfig - Config pushed with the event (skips the re-fetch)
    */
-  async refreshAppConfig() {
-    if (this.isModelLoading) {
-      this.logger.info('USER_ACTION', 'Refresh ignored - model loading');
+  async refreshAppConfig({ live = false, apiConfig = null } = {}) {
+    if (this.isModelLoading || this.isRefreshingConfig) {
+      if (live) {
+        // Don't drop pushed updates - apply them once the current work finishes
+        this.logger.info('CATALOG_EVENTS', 'Live update deferred - model loading or refresh in progress');
+        this.scheduleLiveRefresh(apiConfig);
+      } else {
+        this.logger.info('USER_ACTION', 'Refresh ignored - model loading');
+      }
       return;
     }
     
-    const refreshBtn = document.getElementById('refresh-btn');
+    this.isRefreshingConfig = true;
+    const refreshBtn = live ? null : document.getElementById('refresh-btn');
     if (refreshBtn) {
       refreshBtn.classList.add('refreshing');
       refreshBtn.disabled = true;
     }
     
-    this.logger.event('USER_ACTION', 'Refresh config from backend');
+    if (live) {
+      this.logger.event('CATALOG_EVENTS', 'Applying live catalog update', { pushedConfig: !!apiConfig });
+    } else {
+      this.logger.event('USER_ACTION', 'Refresh config from backend');
+    }
     
     try {
-      // 1. Re-fetch config from backend (bypasses cache)
-      const { config: newConfig, previousConfig } = await refreshConfig();
+      // 1. Re-fetch config from backend (bypasses cache), or apply the pushed config
+      const { config: newConfig, previousConfig } = apiConfig
+        ? applyRemoteConfig(apiConfig)
+        : await refreshConfig();
       const oldModels = previousConfig?.models || [];
       const newModels = newConfig.models || [];
       
       this.logger.info('REFRESH', 'Config refreshed', {
         oldModelCount: oldModels.length,
-        newModelCount: newModels.length
+        newModelCount: newModels.length,
+        live
       });
       
       // 2. Sync images: download new, revoke removed
       await this.assetManager.refreshAssets(oldModels, newModels);
       
       // 3. Find model IDs that were removed from config
-      const newModelIds = new Set(newModels.map(m => m.id));
+      // (local previews are not part of the catalog and always stay)
+      const newModelIds = new Set([...newModels, ...this.gallery.localModels].map(m => m.id));
       const removedIds = [];
-      for (const [cachedId, cachedEntry] of this.modelEntityCache) {
-        if (!newModelIds.has(cachedId)) {
-          removedIds.push(cachedId);
-          // Remove entity from DOM
-          if (cachedEntry.entity?.parentNode) {
-            cachedEntry.entity.parentNode.removeChild(cachedEntry.entity);
-          }
-        }
+      // Live updates never pull a placed model out from under the user; it is
+      // cleaned up by a later refresh once something else is active
+      const keepActive = live && this.modelIsPlaced ? this.activeModelId : null;
+      const placedIds = this.sceneManager.getModelIds();
+      for (const cachedId of this.modelEntityCache.keys()) {
+        if (newModelIds.has(cachedId) || cachedId === keepActive) continue;
+        // The same goes for models placed in the scene
+        if (live && placedIds.includes(cachedId)) continue;
+        removedIds.push(cachedId);
+      }
+      
+      // Models no longer in the catalog leave the scene too
+      const removedCopies = removedIds.reduce((count, id) => count + this.sceneManager.removeModel(id), 0);
+      if (removedCopies > 0) {
+        this.updateSceneToolbar();
+        this.uiController.showToast(`${removedCopies} placed model(s) removed - no longer in the catalog`, 'warning');
       }
       
       // Clear stale cache entries and revoke model loader's download cache
-      const newModelUrls = new Set(newModels.map(m => m.url));
+      const newModelUrls = new Set(newModels.flatMap(getModelUrls));
       for (const id of removedIds) {
         const entry = this.modelEntityCache.get(id);
-        // Revoke cached model blob URL from ModelLoader if its URL was removed
-        if (entry?.config?.url && !newModelUrls.has(entry.config.url)) {
-          const cachedBlobUrl = this.modelLoader.loadedModels?.get(entry.config.url);
-          if (cachedBlobUrl) {
-            URL.revokeObjectURL(cachedBlobUrl);
-            this.modelLoader.loadedModels.delete(entry.config.url);
+        // Revoke cached model blob URLs (all quality variants) that were removed
+        for (const url of entry?.config ? getModelUrls(entry.config) : []) {
+          if (!newModelUrls.has(url)) {
+            await this.modelLoader.invalidateModel(url);
           }
         }
+        // Removes the entity from the DOM and disposes it
         this.modelEntityCache.delete(id);
         this.logger.info('REFRESH', 'Removed stale cached model', { modelId: id });
       }
       
+      // 3b. Drop downloads and parsed entities of models whose file changed;
+      // the active model is reloaded in place once the gallery is updated
+      const changedModels = await this.findChangedModels(oldModels, newModels);
+      let changedActiveModel = null;
+      for (const { model, previous } of changedModels) {
+        // Same URL means new content; other URLs only go once nothing uses them
+        const modelUrls = new Set(getModelUrls(model));
+        for (const url of getModelUrls(previous)) {
+          if (modelUrls.has(url) || !newModelUrls.has(url)) {
+            await this.modelLoader.invalidateModel(url);
+          }
+        }
+        if (model.id === this.activeModelId) {
+          changedActiveModel = model;
+          continue;
+        }
+        const placedEntry = this.sceneManager.getModelIds().includes(model.id) && this.modelEntityCache.get(model.id);
+        if (placedEntry) {
+          // Placed copies stay as they are; reloaded when picked again
+          placedEntry.outdated = true;
+          this.logger.info('REFRESH', 'Outdated model kept for its placed copies', { modelId: model.id });
+          continue;
+        }
+        if (this.modelEntityCache.delete(model.id)) {
+          this.logger.info('REFRESH', 'Removed outdated cached model', { modelId: model.id });
+        }
+      }
+      
       // 4. If current active model was removed, reset state
-      if (this.activeModelId && !newModelIds.has(this.activeModelId)) {
+      if (this.activeModelId && !newModelIds.has(this.activeModelId) && !keepActive) {
         this.gestureHandler?.detach();
+        this.releaseModelAnchor();
         this.currentModel = null;
         this.activeModelId = null;
         this.currentModelConfig = null;
         this.modelIsPlaced = false;
         this.lastPlacedHitPosition = null;
+        this.updateSceneToolbar();
+        this.uiController.setModelInfo(null, null);
         
         // Hide layer controls
         const layerBtn = document.getElementById('layer-toggle-btn');
@@ -1576,6 +2498,7 @@ class WebARApp {
       
       // 6. Update gallery with new models and refreshed asset manager
       this.gallery.updateModels(newModels, this.assetManager);
+      this.updateGallerySizes().then(() => this.schedulePrefetch());
       
       // 7. If we previously had 0 models and now have some, re-enable placement
       if (oldModels.length === 0 && newModels.length > 0 && !this.modelIsPlaced) {
@@ -1585,19 +2508,38 @@ class WebARApp {
         this.logger.info('REFRESH', 'Models now available - placement re-enabled');
       }
       
-      this.uiController.showToast(
-        `Synced: ${newModels.length} model${newModels.length !== 1 ? 's' : ''} available`,
-        'success'
-      );
+      // 8. Reload the active model if its file changed (in place when placed)
+      if (changedActiveModel) {
+        this.reloadActiveModel(changedActiveModel, 'content changed');
+      }
+      
+      // Live config replaces any offline snapshot flag
+      this.updateCatalogStatus();
+      
+      if (live) {
+        const summary = this.summarizeCatalogChanges(oldModels, newModels);
+        if (summary) {
+          this.uiController.showToast(`Catalog updated: ${summary}`, 'info');
+        }
+      } else {
+        this.uiController.showToast(
+          `Synced: ${newModels.length} model${newModels.length !== 1 ? 's' : ''} available`,
+          'success'
+        );
+      }
       
     } catch (error) {
       this.logger.error('REFRESH', 'Failed to refresh config', {
         error: error.message,
         stack: error.stack,
+        live,
         hint: 'Check VITE_API_BASE_URL env var and backend CORS headers'
       });
-      this.uiController.showToast(`Refresh failed: ${error.message}`, 'error');
+      if (!live) {
+        this.uiController.showToast(`Refresh failed: ${error.message}`, 'error');
+      }
     } finally {
+      this.isRefreshingConfig = false;
       if (refreshBtn) {
         refreshBtn.classList.remove('refreshing');
         refreshBtn.disabled = false;
@@ -1605,6 +2547,360 @@ class WebARApp {
     }
   }
 
+  /**
+   * Find models whose file changed between two catalogs: a new URL or quality
+   * variants, a bumped version/hash, or (for unversioned models downloaded this
+   * session) a new ETag / Last-Modified on the server.
+   * @returns {Promise<Array<{model: object, previous: object, reason: string}>>}
+   */
+  async findChangedModels(oldModels, newModels) {
+    const oldById = new Map(oldModels.map(m => [m.id, m]));
+    const changed = [];
+    const revalidate = [];
+    
+    for (const model of newModels) {
+      const previous = oldById.get(model.id);
+      if (!previous) continue;
+      
+      const previousVersion = getContentVersion(previous);
+      const version = getContentVersion(model);
+      if (previous.url !== model.url || JSON.stringify(previous.variants) !== JSON.stringify(model.variants)) {
+        changed.push({ model, previous, reason: 'url' });
+      } else if (previousVersion !== version) {
+        changed.push({ model, previous, reason: 'version' });
+      } else if (version == null) {
+        const loadedUrls = getModelUrls(model).filter(url => this.modelLoader.isModelCached(url));
+        if (loadedUrls.length > 0) revalidate.push({ model, previous, loadedUrls });
+      }
+    }
+    
+    const remoteChanged = await Promise.all(revalidate.map(async ({ loadedUrls }) => {
+      const results = await Promise.all(loadedUrls.map(url => this.modelLoader.hasRemoteChanged(url)));
+      return results.some(Boolean);
+    }));
+    revalidate.forEach(({ model, previous }, i) => {
+      if (remoteChanged[i]) {
+        changed.push({ model, previous, reason: 'etag' });
+      }
+    });
+    
+    if (changed.length > 0) {
+      this.logger.info('REFRESH', 'Model content changed', {
+        models: changed.map(({ model, reason }) => ({ modelId: model.id, reason }))
+      });
+    }
+    return changed;
+  }
+
+  /**
+   * Replace the active model with a fresh load (changed file or quality tier).
+   * onModelSelect switches in place when the old copy was placed.
+   * @param {object} modelConfig - Current config of the active model
+   * @param {string} reason - Why the model is reloaded (for the log)
+   */
+  reloadActiveModel(modelConfig, reason) {
+    this.logger.info('MODEL_LOAD', 'Reloading active model', {
+      modelId: modelConfig.id,
+      reason,
+      inPlace: this.modelIsPlaced
+    });
+    
+    this.gestureHandler?.detach();
+    this.modelEntityCache.delete(modelConfig.id);
+    
+    // Forget the stale entity but keep modelIsPlaced / lastPlacedHitPosition
+    this.currentModel = null;
+    this.activeModelId = null;
+    this.currentModelConfig = null;
+    
+    this.onModelSelect(modelConfig);
+  }
+
+  /**
+   * Ask before downloading a model above performance.recommendedModelSize
+   * on a metered connection (called by ModelLoader)
+   * @returns {Promise<boolean>} True to download
+   */
+  confirmLargeDownload(modelConfig, bytes) {
+    const sizeMB = Math.round(bytes / (1024 * 1024));
+    return this.uiController.showConfirm(
+      `"${modelConfig.name}" is a ${sizeMB} MB download and you seem to be on mobile data. Download it anyway?`,
+      { title: 'Large download', confirmText: 'Download', cancelText: 'Not now' }
+    );
+  }
+
+  /**
+   * Show each model's download size (of the variant that would load) on its
+   * gallery card. Sizes declared in the config (`sizeBytes`, else `size`) are
+   * shown at once; other sizes are fetched with a HEAD request once the card
+   * is on screen. Cards whose variant has not changed are left as they are.
+   */
+  async updateGallerySizes() {
+    const { maxModelSize, recommendedModelSize } = getConfig().performance;
+    const MB = 1024 * 1024;
+    const visible = new Set(this.gallery.getVisibleModelIds());
+    
+    for (const model of this.gallery.models) {
+      const variant = this.modelLoader.selectVariant(model, { log: false });
+      if (this.gallerySizedUrls.get(model.id) === variant.url) continue;
+      
+      const declared = variant.integrity.sizeBytes ?? (variant.size != null ? variant.size * MB : null);
+      if (declared == null && !visible.has(model.id)) {
+        // Another variant was sized - its badge no longer applies
+        if (this.gallerySizedUrls.delete(model.id)) this.gallery.clearModelSize(model.id);
+        continue;
+      }
+      
+      this.gallerySizedUrls.set(model.id, variant.url);
+      const bytes = declared ?? await this.modelLoader.getModelSize(variant.url);
+      if (bytes == null) continue;
+      
+      const level = bytes > maxModelSize * MB ? 'too-large'
+        : bytes > recommendedModelSize * MB ? 'large'
+        : 'ok';
+      this.gallery.setModelSize(model.id, bytes, level);
+    }
+  }
+
+  /**
+   * Shrink textures above performance.maxTextureSize (or the GPU limit).
+   * Awaited before the model is shown or placed, so oversized textures never
+   * reach the GPU. Models with `downscaleTextures: false` keep full resolution.
+   * @param {object} config - Model configuration
+   * @param {THREE.Object3D|null} mesh - Parsed model
+   */
+  async downscaleModelTextures(config, mesh) {
+    if (!mesh) return;
+    if (config.downscaleTextures === false) {
+      this.logger.info('MODEL_TEXTURES', 'Texture downscaling disabled for this model', { modelId: config.id });
+      return;
+    }
+    
+    const gpuLimit = document.querySelector('a-scene')?.renderer?.capabilities.maxTextureSize || Infinity;
+    const maxSize = Math.min(getConfig().performance.maxTextureSize, gpuLimit);
+    try {
+      const { resized, bytesBefore, bytesAfter } = await downscaleTextures(mesh, maxSize);
+      if (resized.length === 0) return;
+      
+      const toMB = bytes => Math.round(bytes / (1024 * 1024) * 10) / 10;
+      this.logger.info('MODEL_TEXTURES', `Downscaled ${resized.length} textures to ${maxSize}px`, {
+        modelId: config.id,
+        textures: resized.map(texture => `${texture.name}: ${texture.from} → ${texture.to}`),
+        gpuMemoryBeforeMB: toMB(bytesBefore),
+        gpuMemoryAfterMB: toMB(bytesAfter),
+        savedMB: toMB(bytesBefore - bytesAfter)
+      });
+    } catch (error) {
+      this.logger.warning('MODEL_TEXTURES', 'Texture downscaling failed - keeping originals', {
+        modelId: config.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Write a model's validation report to the log panel
+   * @param {object} config - Model configuration
+   * @param {object} report - From createValidationReport()
+   */
+  logValidationReport(config, report) {
+    const { counts, stats } = report;
+    const summary = counts.errors > 0 ? `${counts.errors} errors, ${counts.warnings} warnings`
+      : counts.warnings > 0 ? `${counts.warnings} warnings`
+      : 'no problems found';
+    this.logger.info('MODEL_VALIDATION', `${config.name}: ${summary}`, { modelId: config.id, ...stats });
+    
+    for (const issue of report.issues) {
+      if (issue.level === 'error') {
+        this.logger.error('MODEL_VALIDATION', issue.message, { modelId: config.id });
+      } else if (issue.level === 'warning') {
+        this.logger.warning('MODEL_VALIDATION', issue.message, { modelId: config.id });
+      } else {
+        this.logger.info('MODEL_VALIDATION', issue.message, { modelId: config.id });
+      }
+    }
+  }
+
+  /**
+   * Preview a model picked from the device: it is added to the gallery as a
+   * temporary local model and loaded through the normal path (scale
+   * normalization, floor offset, layer discovery) without any network access
+   * @param {File[]} files - A .glb, or a .gltf with its .bin / texture files
+   */
+  async openLocalModel(files) {
+    if (this.isModelLoading) return;
+    
+    let localModel;
+    try {
+      localModel = await createLocalModel(files);
+    } catch (error) {
+      this.logger.error('LOCAL_MODEL', 'Could not open local model', {
+        files: files.map(file => file.name),
+        error: error.message
+      });
+      this.uiController.showToast(error.message, 'error', { title: 'Cannot open file' });
+      return;
+    }
+    
+    const { config, blob } = localModel;
+    this.logger.info('LOCAL_MODEL', 'Opened local model', {
+      modelId: config.id,
+      fileName: config.fileName,
+      size: blob.size,
+      files: files.length
+    });
+    
+    this.modelLoader.registerLocalModel(config.url, blob);
+    this.gallery.addLocalModel(config);
+    this.gallery.setModelSize(config.id, blob.size);
+    this.onModelSelect(config);
+  }
+
+  /**
+   * Queue background downloads of the models most likely to be picked next:
+   * the neighbours of the active model in catalog order, the cards visible
+   * in the gallery, then the most popular models (`popularity` in the config)
+   */
+  schedulePrefetch() {
+    if (!this.prefetcher) return;
+    
+    const models = this.gallery.models;
+    const candidates = [];
+    const activeIndex = models.findIndex(model => model.id === this.activeModelId);
+    if (activeIndex >= 0) {
+      candidates.push({ model: models[activeIndex + 1], reason: 'next' });
+      candidates.push({ model: models[activeIndex - 1], reason: 'previous' });
+    }
+    for (const modelId of this.gallery.getVisibleModelIds()) {
+      candidates.push({ model: models.find(model => model.id === modelId), reason: 'visible' });
+    }
+    const { popularCount = 3 } = getConfig().performance.prefetch || {};
+    models
+      .filter(model => model.popularity > 0)
+      .sort((a, b) => b.popularity - a.popularity)
+      .slice(0, popularCount)
+      .forEach(model => candidates.push({ model, reason: 'popular' }));
+    
+    this.prefetcher.schedule(candidates.filter(({ model }) => model && model.id !== this.activeModelId));
+  }
+
+  /**
+   * Apply the quality tier picked in the gallery: cached entities loaded at a
+   * different tier are dropped, and the active model is reloaded in place
+   * @param {string|null} quality - 'low' | 'medium' | 'high', or null for automatic
+   */
+  onQualityChange(quality) {
+    if (this.isModelLoading) {
+      // The gallery already highlighted the new tier - put it back
+      this.gallery.setQuality(this.modelLoader.qualityOverride);
+      this.logger.info('USER_ACTION', 'Quality change ignored - model loading');
+      return;
+    }
+    
+    this.modelLoader.setQualityOverride(quality);
+    
+    let activeConfig = null;
+    for (const [modelId, entry] of this.modelEntityCache) {
+      if (!entry.quality || this.modelLoader.selectVariant(entry.config).tier === entry.quality) continue;
+      if (modelId === this.activeModelId) {
+        activeConfig = entry.config;
+        continue;
+      }
+      if (this.sceneManager.getModelIds().includes(modelId)) {
+        // Placed copies stay as they are; reloaded when picked again
+        entry.outdated = true;
+        this.logger.info('MODEL_QUALITY', 'Cached model kept for its placed copies', { modelId });
+        continue;
+      }
+      this.modelEntityCache.delete(modelId);
+      this.logger.info('MODEL_QUALITY', 'Dropped cached model loaded at another quality', {
+        modelId,
+        quality: entry.quality
+      });
+    }
+    
+    this.uiController.showToast(`Model quality: ${quality || 'auto'}`, 'info');
+    this.updateGallerySizes().then(() => this.schedulePrefetch());
+    if (activeConfig) {
+      this.reloadActiveModel(activeConfig, 'quality changed');
+    }
+  }
+
+  /**
+   * Subscribe to the backend's catalog event stream (config.server.liveUpdates)
+   */
+  startCatalogEvents() {
+    const { liveUpdates } = getConfig().server;
+    if (!liveUpdates?.enabled) {
+      this.logger.info('CATALOG_EVENTS', 'Live catalog updates disabled by config');
+      return;
+    }
+    
+    const url = liveUpdates.url || `${API_BASE_URL}/api/config/events`;
+    this.catalogEvents = new CatalogEvents(
+      url,
+      (apiConfig) => this.refreshAppConfig({ live: true, apiConfig }),
+      { debounce: liveUpdates.debounce }
+    );
+    this.catalogEvents.start();
+  }
+
+  /**
+   * Retry a deferred live update shortly (keeps only the latest pushed config)
+   * @param {object|null} apiConfig - Pushed config, or null to re-fetch
+   */
+  scheduleLiveRefresh(apiConfig) {
+    this.pendingLiveConfig = apiConfig;
+    clearTimeout(this.liveRefreshTimer);
+    this.liveRefreshTimer = setTimeout(() => {
+      const pending = this.pendingLiveConfig;
+      this.pendingLiveConfig = null;
+      this.liveRefreshTimer = null;
+      this.refreshAppConfig({ live: true, apiConfig: pending });
+    }, 2000);
+  }
+
+  /**
+   * Describe model additions, removals and changes between two catalogs
+   * @returns {string} e.g. "1 added, 2 changed" (empty when nothing changed)
+   */
+  summarizeCatalogChanges(oldModels, newModels) {
+    const oldById = new Map(oldModels.map(m => [m.id, m]));
+    const newIds = new Set(newModels.map(m => m.id));
+    let added = 0;
+    let changed = 0;
+    for (const model of newModels) {
+      const previous = oldById.get(model.id);
+      if (!previous) {
+        added++;
+      } else if (JSON.stringify(previous) !== JSON.stringify(model)) {
+        changed++;
+      }
+    }
+    const removed = oldModels.filter(m => !newIds.has(m.id)).length;
+    
+    return [
+      added && `${added} added`,
+      removed && `${removed} removed`,
+      changed && `${changed} changed`
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Show or hide the offline catalog badge based on where the config came from
+   */
+  updateCatalogStatus() {
+    const { source, savedAt } = getConfigSource();
+    if (source === 'snapshot') {
+      this.uiController.showOfflineBadge(savedAt);
+      this.logger.warning('CONFIG', 'Backend unavailable - using offline catalog', {
+        savedAt: new Date(savedAt).toISOString()
+      });
+    } else {
+      this.uiController.hideOfflineBadge();
+    }
+  }
+
   /**
    * Auto-load the first model from the gallery (legacy, no longer called on session start)
    */
@@ -1634,6 +2930,9 @@ class WebARApp {
           this.onSessionStarted.bind(this),
           this.onSessionEnded.bind(this)
         );
+        this.arSession.getPlacementFootprint = () => this.getPlacementFootprint();
+        this.arSession.getSelectableObjects = () => this.sceneManager?.getObjects() || [];
+        this.arSession.getDraggableObject = () => this.getDraggableObject();
         
         this.gestureHandler = new GestureHandler();
         this.setupEventHandlers();
@@ -1657,6 +2956,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // Handle page visibility changes
 document.addEventListener('visibilitychange', () => {
   if (document.hidden && window.arApp?.arSession) {
+    // The page may not come back (tab closed, app killed)
+    window.arApp.saveCurrentLayout();
     window.arApp.arSession.pause();
   } else if (!document.hidden && window.arApp?.arSession) {
     window.arApp.arSession.resume();
@@ -1,9 +1,37 @@
 /**
  * AR Session Manager
- * Handles WebXR session lifecycle and hit testing
+ * Handles WebXR session lifecycle, hit testing and the XR anchors that keep
+ * placed models attached to the real world
  */
 
 import { getLogger } from './logger.js';
+import { getConfig } from '../config/config.js';
+import { LightEstimator } from './light-estimator.js';
+import { PlaneTracker } from './plane-tracker.js';
+import { DepthOcclusion } from './depth-occlusion.js';
+
+// A hit result this close (in meters) to the placement point is used to
+// create the anchor, so it attaches to the detected plane
+const ANCHOR_HIT_TOLERANCE = 0.05;
+
+// How long an anchor may stay untracked before it is replaced (ms)
+const ANCHOR_LOSS_TIMEOUT = 3000;
+
+// How long a restored persistent anchor may take to re-localize (ms)
+const ANCHOR_RESTORE_TIMEOUT = 8000;
+
+// Surface classification from the hit normal's vertical component:
+// above FLOOR_MIN_UP it faces up (floor, table), below WALL_MAX_UP it is
+// vertical (wall); anything else (ceilings, slopes) accepts no placement
+const FLOOR_MIN_UP = 0.75;
+const WALL_MAX_UP = 0.35;
+
+// A touch on the draggable object becomes a drag once the surface point under
+// the finger has moved this far (m); shorter moves stay taps / rotation
+const DRAG_START_DISTANCE = 0.03;
+
+// config.ar.hitTest.type -> default placement type
+const PLACEMENT_TYPES = { horizontal: 'floor', vertical: 'wall', any: 'any' };
 
 export class ARSession {
   constructor(onPlaceCallback, onStartCallback, onEndCallback) {
@@ -12,9 +40,32 @@ export class ARSession {
     this.viewerSpace = null;
     this.hitTestSource = null;
     this.hitTestAvailable = false;
+    this.anchorsAvailable = false;
     this.scene = null;
     this.renderer = null;
     this.lastHitPosition = null;
+    this.lastHitResult = null; // XRHitTestResult of the current frame
+    this.lastHitSurface = null;  // 'floor' | 'wall' | 'other' of the last hit
+    
+    // Surfaces the current model may be placed on: 'floor' | 'wall' | 'any'
+    this.placementType = getDefaultPlacementType();
+    
+    // Optional () => { minX, maxX, minZ, maxZ, scale, rotationY } | null: footprint
+    // of the model about to be placed, checked against detected planes
+    this.getPlacementFootprint = null;
+    this.footprintFits = null; // true | false | null (unknown)
+    
+    // Optional () => THREE.Object3D[]: placed objects a tap can select while
+    // placement is off (a hit dispatches 'ar-object-tapped')
+    this.getSelectableObjects = null;
+    
+    // Optional () => THREE.Object3D | null: placed object a one-finger drag
+    // moves ('ar-drag-start' with the surface hit where the finger went down,
+    // 'ar-drag-move' with the surface hit under the finger, 'ar-drag-end')
+    this.getDraggableObject = null;
+    this.transientHitTestSource = null; // Hit tests from touch points
+    this.transientHits = new Map(); // inputSource -> surface hit under it in the latest frame
+    this.drag = null; // { inputSource, object3D, startHit, started } from touch start to end
     this.logger = getLogger();
     this.lastHitLogTime = 0;
     this.hitLogInterval = 2000; // Log hit status every 2 seconds max
@@ -33,6 +84,16 @@ export class ARSession {
 
     this._markerVisible = false;
     
+    // Smoothed XR frame time (ms), used to hold back background work under load
+    this.frameTimeAvg = 0;
+    this._lastFrameTime = 0;
+    
+    // Anchored objects: object3D -> { anchor, requestedPosition, position,
+    // offset, pending, lostSince, persistentHandle }
+    this.anchors = new Map();
+    // Restored persistent anchors waiting for their first tracked pose
+    this._anchorWaiters = [];
+    
     // Placement suppression: prevents accidental placement after UI interactions
     // When a UI button enables placement, we suppress for a short time to avoid
     // the same tap that hit the button from also triggering placement
@@ -45,11 +106,16 @@ export class ARSession {
     
     // Bind methods
     this.onSelect = this.onSelect.bind(this);
+    this.onSelectStart = this.onSelectStart.bind(this);
+    this.onSelectEnd = this.onSelectEnd.bind(this);
     this.onSessionEnd = this.onSessionEnd.bind(this);
     
     // Improvement 3: Reusable objects to avoid GC churn
     this._tmpPos = new THREE.Vector3();
     this._tmpQuat = new THREE.Quaternion();
+    this._tmpNormal = new THREE.Vector3();
+    this._up = new THREE.Vector3(0, 1, 0);
+    this._raycaster = new THREE.Raycaster();
     
     this.init();
   }
@@ -63,6 +129,17 @@ export class ARSession {
     
     // Store reference for hit test updates
     this.hitTestMarker = document.getElementById('marker');
+    
+    // Scene lighting from WebXR light estimation (static rig as fallback)
+    this.lightEstimator = new LightEstimator(this.scene, {
+      enabled: getConfig().ar?.lightEstimation !== false
+    });
+    
+    // Detected planes: faster surface detection and footprint checks
+    this.planeTracker = new PlaneTracker(this.scene, getConfig().ar?.planeDetection);
+    
+    // Real objects in front of a model hide it (WebXR depth sensing)
+    this.depthOcclusion = new DepthOcclusion(this.scene, getConfig().ar?.occlusion);
   }
 
   async start() {
@@ -84,11 +161,17 @@ export class ARSession {
     
     try {
       const overlayRoot = document.getElementById('ui-overlay');
+      const optionalFeatures = ['dom-overlay', 'anchors'];
+      if (this.lightEstimator.enabled) optionalFeatures.push('light-estimation');
+      if (this.planeTracker.enabled) optionalFeatures.push('plane-detection');
+      const depthInit = this.depthOcclusion.getSessionInit();
+      if (depthInit) optionalFeatures.push('depth-sensing');
 
       const sessionInitCandidates = [
         {
           requiredFeatures: ['hit-test'],
-          optionalFeatures: ['dom-overlay'],
+          optionalFeatures,
+          ...(depthInit || {}),
           ...(overlayRoot ? { domOverlay: { root: overlayRoot } } : {})
         },
         {
@@ -152,8 +235,18 @@ export class ARSession {
       // Start render loop
       renderer.setAnimationLoop(this.onXRFrame.bind(this));
       
+      this.planeTracker.start(this.session);
+      this.depthOcclusion.start(this.session);
+      
+      // Light estimation starts in the background; static lights until it is ready
+      this.lightEstimator.start(this.session).catch(error => {
+        this.logger.warning('LIGHT_ESTIMATION', 'Light estimation failed to start', { error: error.message });
+      });
+      
       // Setup event listeners
       this.session.addEventListener('select', this.onSelect);
+      this.session.addEventListener('selectstart', this.onSelectStart);
+      this.session.addEventListener('selectend', this.onSelectEnd);
       this.session.addEventListener('end', this.onSessionEnd);
       
       // Notify session started
@@ -211,6 +304,34 @@ export class ARSession {
       throw new Error('Failed to enable hit-test for AR session. Make sure Google Play Services for AR (ARCore) is installed/enabled, then retry.');
     }
     
+    // Hit tests from touch points let placed models be dragged and models be
+    // placed where the user taps; optional
+    const config = getConfig();
+    const wantsTransient = config.gestures?.drag?.enabled !== false || config.ar?.hitTest?.placeAt === 'touch';
+    this.transientHitTestSource = null;
+    if (wantsTransient && this.session.requestHitTestSourceForTransientInput) {
+      try {
+        this.transientHitTestSource = await this.session.requestHitTestSourceForTransientInput({
+          profile: 'generic-touchscreen'
+        });
+        this.logger.success('HIT_TEST', 'Transient input hit-test source created');
+      } catch (error) {
+        this.logger.warning('HIT_TEST', 'Transient input hit-test unavailable - no drag-to-move, placing at the reticle', {
+          error: error.message
+        });
+      }
+    }
+    
+    // Anchors are optional: without them models keep a fixed position in the
+    // local reference space (which may drift as tracking improves)
+    const enabledFeatures = this.session.enabledFeatures;
+    this.anchorsAvailable = typeof XRFrame !== 'undefined'
+      && typeof XRFrame.prototype.createAnchor === 'function'
+      && (!enabledFeatures || enabledFeatures.includes('anchors'));
+    this.logger.info('AR_ANCHOR', this.anchorsAvailable
+      ? 'XR anchors available'
+      : 'XR anchors not supported - placed models use fixed positions');
+    
     // Frame loop will be started by renderer.setAnimationLoop in start()
     this.logger.info('AR_CONFIG', 'AR session configured successfully');
   }
@@ -220,6 +341,8 @@ export class ARSession {
     if (!frame) return; // Safety check
     const session = frame.session;
     
+    this.planeTracker.update(frame, this.referenceSpace);
+    
     // Perform hit test
     if (this.hitTestSource && frame) {
       const hitTestResults = frame.getHitTestResults(this.hitTestSource);
@@ -227,21 +350,32 @@ export class ARSession {
       if (hitTestResults.length > 0) {
         const hit = hitTestResults[0];
         const pose = hit.getPose(this.referenceSpace);
+        this.lastHitResult = pose ? hit : null;
         
         if (pose) {
+          // Classify the surface from the hit normal (the pose's Y axis)
+          const normal = this._getHitNormal(pose);
+          this.lastHitSurface = classifySurface(normal);
+          
           // Update hit marker position
-          this.updateHitMarker(pose);
+          this.updateHitMarker(pose, normal);
           
           // Store last hit position
           const transform = pose.transform;
           this.lastHitPosition = {
             x: transform.position.x,
             y: transform.position.y,
-            z: transform.position.z
+            z: transform.position.z,
+            surface: this.lastHitSurface,
+            normal: { x: normal.x, y: normal.y, z: normal.z }
           };
           
-          // Update surface state (detecting → detected after stabilization)
-          this._updateSurfaceState(true, time);
+          // Update surface state (detecting → detected after stabilization,
+          // or at once when the hit lies on a detected plane)
+          const onPlane = this.planeTracker.active && !!this.planeTracker.findPlaneAt(this.lastHitPosition);
+          this._updateSurfaceState(true, time, onPlane);
+          
+          this._updateFootprint();
           
           // Update UI status
           this.updateHitTestStatus(true);
@@ -256,6 +390,8 @@ export class ARSession {
       } else {
         // No hit detected - clear stale position to prevent placing model at old location
         this.lastHitPosition = null;
+        this.lastHitResult = null;
+        this._setFootprintFits(null);
         
         // Reset surface state back to detecting
         this._updateSurfaceState(false, time);
@@ -272,6 +408,25 @@ export class ARSession {
       }
     }
     
+    if (this.transientHitTestSource) {
+      this._updateTransientHits(frame);
+    }
+    if (this.drag) {
+      this._updateDrag();
+    }
+    
+    if (this.anchors.size > 0) {
+      this._updateAnchors(frame, time);
+    }
+    if (this._anchorWaiters.length > 0) {
+      this._updateAnchorWaiters(frame, time);
+    }
+    
+    this.lightEstimator.update(frame, this.referenceSpace, time);
+    this.depthOcclusion.update(frame, this.referenceSpace);
+    
+    this._trackFrameTime(time);
+    
     // Update FPS counter if debug mode
     this.updateDebugInfo(time);
     
@@ -279,7 +434,52 @@ export class ARSession {
     this.scene.renderer.render(this.scene.object3D, this.scene.camera);
   }
 
-  updateHitMarker(pose) {
+  /**
+   * Internal: check the footprint of the model about to be placed against the
+   * detected plane under the reticle and tint the reticle when it overhangs
+   */
+  _updateFootprint() {
+    const hit = this.lastHitPosition;
+    const footprint = this.reticleEnabled && this.planeTracker.active && hit?.surface === 'floor'
+      ? this.getPlacementFootprint?.()
+      : null;
+    if (!footprint) {
+      this._setFootprintFits(null);
+      return;
+    }
+    
+    const { minX, maxX, minZ, maxZ, scale = 1, rotationY = 0 } = footprint;
+    const cos = Math.cos(rotationY);
+    const sin = Math.sin(rotationY);
+    const corners = [[minX, minZ], [maxX, minZ], [maxX, maxZ], [minX, maxZ]].map(([x, z]) => ({
+      x: hit.x + (x * cos + z * sin) * scale,
+      z: hit.z + (z * cos - x * sin) * scale
+    }));
+    this._setFootprintFits(this.planeTracker.checkFootprint(hit, corners).fits);
+  }
+  
+  _setFootprintFits(fits) {
+    if (fits === this.footprintFits) return;
+    this.footprintFits = fits;
+    this.hitTestMarker?.components['hit-test-marker']?.setFootprintFits?.(fits);
+  }
+
+  /**
+   * Internal: surface normal of a hit pose (its local Y axis)
+   * @returns {THREE.Vector3} Reused vector - copy before keeping it
+   */
+  _getHitNormal(pose) {
+    const o = pose.transform.orientation;
+    this._tmpQuat.set(o.x, o.y, o.z, o.w);
+    return this._tmpNormal.set(0, 1, 0).applyQuaternion(this._tmpQuat).normalize();
+  }
+
+  /**
+   * Position the reticle at the hit and lay it on the surface
+   * @param {XRPose} pose - Hit pose
+   * @param {THREE.Vector3} normal - Surface normal
+   */
+  updateHitMarker(pose, normal) {
     // Improvement 3 & 4: Check both marker and object3D exist
     if (!this.hitTestMarker?.object3D) return;
     
@@ -303,12 +503,11 @@ export class ARSession {
       }));
     }
     
-    // Update rotation from hit pose quaternion
-    const o = t.orientation;
-    if (o) {
-      this._tmpQuat.set(o.x, o.y, o.z, o.w);
-      this.hitTestMarker.object3D.quaternion.copy(this._tmpQuat);
-    }
+    // Turn the reticle's up axis to the surface normal. Unlike the raw hit
+    // orientation this has no arbitrary twist, so the reticle stays steady
+    // on floors and lies flat against walls.
+    this._tmpQuat.setFromUnitVectors(this._up, normal);
+    this.hitTestMarker.object3D.quaternion.copy(this._tmpQuat);
   }
 
   hideHitMarker() {
@@ -325,9 +524,14 @@ export class ARSession {
   }
 
   onSelect(event) {
-    // If placement is disabled, ignore taps entirely
+    // The release of a drag is not a tap (a touch that never moved far enough is)
+    if (this.drag?.started && this.drag.inputSource === event.inputSource) return;
+    
+    // If placement is disabled, a tap can only select a placed object
     if (!this.placementEnabled) {
-      this.logger.info('USER_ACTION', 'Tap ignored - placement disabled');
+      if (!this._pickObject(event)) {
+        this.logger.info('USER_ACTION', 'Tap ignored - placement disabled');
+      }
       return;
     }
     
@@ -346,8 +550,10 @@ export class ARSession {
       return;
     }
     
-    // Place model at hit location
-    let placePosition = this.lastHitPosition;
+    // Place model at the tapped point (config.ar.hitTest.placeAt 'touch'),
+    // else at the reticle
+    const touchHit = this._getTouchHit(event);
+    let placePosition = touchHit || this.lastHitPosition;
     
     // Fix 8: Fallback to marker position if lastHitPosition is null but marker is visible
     // This can happen due to brief hit-test drop between frames
@@ -357,8 +563,25 @@ export class ARSession {
       this.logger.info('USER_ACTION', 'Using marker position as fallback', { position: placePosition });
     }
     
+    // Reject surfaces the current model cannot be placed on
+    const surface = placePosition?.surface || this.lastHitSurface;
+    if (placePosition && !isSurfaceCompatible(this.placementType, surface)) {
+      this.logger.info('USER_ACTION', 'Tap ignored - incompatible surface', {
+        placementType: this.placementType,
+        surface
+      });
+      window.dispatchEvent(new CustomEvent('ar-placement-rejected', {
+        detail: { placementType: this.placementType, surface }
+      }));
+      return;
+    }
+    
     if (placePosition && this.onPlace) {
       this.logger.event('USER_ACTION', 'Screen tap - placing model', { position: placePosition });
+      // The footprint is checked at the reticle
+      if (!touchHit && this.footprintFits === false) {
+        this.logger.warning('USER_ACTION', 'Model footprint overhangs the detected plane');
+      }
       this.onPlace(placePosition);
       
       // Hide marker after placement
@@ -368,6 +591,163 @@ export class ARSession {
     }
   }
 
+  /**
+   * Cast the tap's target ray against the selectable objects
+   * @returns {boolean} True when an object was hit
+   */
+  _pickObject(event) {
+    const objects = this.getSelectableObjects?.() || [];
+    if (objects.length === 0 || performance.now() < this.placementSuppressedUntil) {
+      return false;
+    }
+    
+    const hit = this._raycastObjects(event.frame, event.inputSource, objects);
+    if (!hit) return false;
+    
+    this.logger.event('USER_ACTION', 'Screen tap - placed object hit', { distance: hit.distance });
+    window.dispatchEvent(new CustomEvent('ar-object-tapped', {
+      detail: { object3D: hit.object3D, point: hit.point }
+    }));
+    return true;
+  }
+  
+  /**
+   * Cast an input source's target ray against objects
+   * @param {XRFrame} frame - Frame of the input event
+   * @param {XRInputSource} inputSource
+   * @param {THREE.Object3D[]} objects - Roots to test (with their children)
+   * @returns {{object3D: THREE.Object3D, point: object, distance: number}|null} Root that was hit
+   */
+  _raycastObjects(frame, inputSource, objects) {
+    const pose = frame?.getPose(inputSource.targetRaySpace, this.referenceSpace);
+    if (!pose) return null;
+    
+    const { position, orientation } = pose.transform;
+    const ray = this._raycaster.ray;
+    ray.origin.set(position.x, position.y, position.z);
+    ray.direction.set(0, 0, -1).applyQuaternion(
+      this._tmpQuat.set(orientation.x, orientation.y, orientation.z, orientation.w)
+    );
+    
+    const hit = this._raycaster.intersectObjects(objects, true)[0];
+    if (!hit) return null;
+    
+    // Report the root, not the mesh that was hit
+    let object3D = hit.object;
+    while (object3D && !objects.includes(object3D)) {
+      object3D = object3D.parent;
+    }
+    if (!object3D) return null;
+    
+    return {
+      object3D,
+      point: { x: hit.point.x, y: hit.point.y, z: hit.point.z },
+      distance: hit.distance
+    };
+  }
+  
+  /**
+   * Track a screen touch that begins on the draggable object (anywhere on the
+   * screen with gestures.drag.startOn 'anywhere'); it becomes a drag once it
+   * moves DRAG_START_DISTANCE along the surface
+   */
+  onSelectStart(event) {
+    if (!this.transientHitTestSource || event.inputSource.targetRayMode !== 'screen') return;
+    
+    // A second finger turns the gesture into pinch-to-scale / rotate
+    if (this.drag) {
+      this._endDrag();
+      return;
+    }
+    
+    const object3D = this.getDraggableObject?.();
+    if (!object3D?.visible) return;
+    const anywhere = getConfig().gestures?.drag?.startOn === 'anywhere';
+    if (!anywhere && !this._raycastObjects(event.frame, event.inputSource, [object3D])) return;
+    
+    this.drag = { inputSource: event.inputSource, object3D, startHit: null, started: false };
+  }
+  
+  onSelectEnd(event) {
+    if (this.drag?.inputSource === event.inputSource) {
+      this._endDrag();
+    }
+  }
+  
+  /**
+   * Surface hit under a screen tap, when models are placed at the tap point
+   * @returns {object|null} Hit position, null to place at the reticle
+   */
+  _getTouchHit(event) {
+    if (getConfig().ar?.hitTest?.placeAt !== 'touch' || event.inputSource.targetRayMode !== 'screen') {
+      return null;
+    }
+    const hit = this.transientHits.get(event.inputSource);
+    if (!hit) {
+      this.logger.info('USER_ACTION', 'No surface hit under the tap - placing at the reticle');
+      return null;
+    }
+    return { ...hit };
+  }
+  
+  /**
+   * Internal: hit-test every touch point (the first result per touch)
+   */
+  _updateTransientHits(frame) {
+    this.transientHits.clear();
+    frame.getHitTestResultsForTransientInput(this.transientHitTestSource).forEach(({ inputSource, results }) => {
+      const pose = results[0]?.getPose(this.referenceSpace);
+      if (!pose) return;
+      const normal = this._getHitNormal(pose);
+      const p = pose.transform.position;
+      this.transientHits.set(inputSource, {
+        x: p.x,
+        y: p.y,
+        z: p.z,
+        surface: classifySurface(normal),
+        normal: { x: normal.x, y: normal.y, z: normal.z }
+      });
+    });
+  }
+  
+  /**
+   * Internal: start the drag once the finger has moved far enough, then
+   * report the surface under it
+   */
+  _updateDrag() {
+    const drag = this.drag;
+    const hit = this.transientHits.get(drag.inputSource);
+    if (!hit) return;
+    
+    if (!drag.started) {
+      if (!drag.startHit) {
+        drag.startHit = hit;
+        return;
+      }
+      const { x, y, z } = drag.startHit;
+      if (Math.hypot(hit.x - x, hit.y - y, hit.z - z) < DRAG_START_DISTANCE) return;
+      
+      drag.started = true;
+      this.logger.event('USER_ACTION', 'Drag started');
+      window.dispatchEvent(new CustomEvent('ar-drag-start', {
+        detail: { object3D: drag.object3D, hit: { ...drag.startHit } }
+      }));
+    }
+    
+    window.dispatchEvent(new CustomEvent('ar-drag-move', {
+      detail: { object3D: drag.object3D, position: { ...hit } }
+    }));
+  }
+  
+  _endDrag() {
+    const drag = this.drag;
+    if (!drag) return;
+    this.drag = null;
+    if (!drag.started) return;
+    this.logger.event('USER_ACTION', 'Drag ended');
+    window.dispatchEvent(new CustomEvent('ar-drag-end', { detail: { object3D: drag.object3D } }));
+  }
+
   updateHitTestStatus(active) {
     // Improvement 4: Defensive null checks throughout
     
@@ -407,6 +787,21 @@ export class ARSession {
     }
   }
 
+  _trackFrameTime(time) {
+    if (this._lastFrameTime) {
+      const delta = time - this._lastFrameTime;
+      this.frameTimeAvg = this.frameTimeAvg ? this.frameTimeAvg * 0.9 + delta * 0.1 : delta;
+    }
+    this._lastFrameTime = time;
+  }
+
+  /**
+   * Whether the AR render loop is struggling (below ~40 fps on average)
+   */
+  isRenderStressed() {
+    return !!this.session && this.frameTimeAvg > 25;
+  }
+
   updateDebugInfo(time) {
     const debugInfo = document.getElementById('debug-info');
     if (debugInfo && !debugInfo.classList.contains('hidden')) {
@@ -431,10 +826,14 @@ export class ARSession {
 
   onSessionEnd() {
     this.logger.info('AR_SESSION', 'AR session ended');
+    this.frameTimeAvg = 0;
+    this._lastFrameTime = 0;
     
     // Improvement 2: Remove session listeners (prevents memory leaks on restart)
     try {
       this.session?.removeEventListener('select', this.onSelect);
+      this.session?.removeEventListener('selectstart', this.onSelectStart);
+      this.session?.removeEventListener('selectend', this.onSelectEnd);
       this.session?.removeEventListener('end', this.onSessionEnd);
     } catch (_) { /* ignore */ }
     
@@ -444,13 +843,24 @@ export class ARSession {
       try { this.scene.renderer.xr.setSession(null); } catch (_) { /* ignore */ }
     }
     
+    this.lightEstimator.stop();
+    this.planeTracker.stop();
+    this.depthOcclusion.stop();
+    this._setFootprintFits(null);
+    
     // Improvement 2: Cancel hit test source if supported
     if (this.hitTestSource?.cancel) {
       try { this.hitTestSource.cancel(); } catch (_) { /* ignore */ }
     }
+    if (this.transientHitTestSource?.cancel) {
+      try { this.transientHitTestSource.cancel(); } catch (_) { /* ignore */ }
+    }
+    this._endDrag();
     
     // Improvement 6: Reset marker explicitly
     this.lastHitPosition = null;
+    this.lastHitResult = null;
+    this.lastHitSurface = null;
     this.hideHitMarker();
     if (this.hitTestMarker?.object3D) {
       this.hitTestMarker.object3D.position.set(0, 0, 0);
@@ -468,11 +878,20 @@ export class ARSession {
     this.referenceSpace = null;
     this.viewerSpace = null;
     this.hitTestSource = null;
+    this.transientHitTestSource = null;
+    this.transientHits.clear();
     
     // Notify session ended
     if (this.onEnd) {
       this.onEnd();
     }
+    
+    // Anchors end with the session (persistent handles stay valid). Cleared
+    // after onEnd so the current layout can still read its anchor handle.
+    this.anchors.clear();
+    this.anchorsAvailable = false;
+    this._anchorWaiters.forEach(waiter => waiter.resolve(null));
+    this._anchorWaiters = [];
   }
 
   // Improvement 5: Implement pause/resume properly
@@ -511,6 +930,17 @@ export class ARSession {
     this.logger.info('AR_SESSION', `Placement ${enabled ? 'enabled' : 'disabled'}`);
   }
 
+  /**
+   * Set the surfaces taps may place the current model on
+   * @param {string|null} type - 'floor' | 'wall' | 'any' (null = config.ar.hitTest.type)
+   */
+  setPlacementType(type) {
+    const placementType = ['floor', 'wall', 'any'].includes(type) ? type : getDefaultPlacementType();
+    if (placementType === this.placementType) return;
+    this.placementType = placementType;
+    this.logger.info('AR_SESSION', `Placement type → ${placementType}`);
+  }
+
   /**
    * Suppress placement for a short duration (prevents UI tap from triggering placement)
    * Call this BEFORE enabling placement after a UI interaction
@@ -521,18 +951,270 @@ export class ARSession {
     this.logger.info('AR_SESSION', `Placement suppressed for ${durationMs}ms`);
   }
 
+  /**
+   * Keep an object attached to the real world at a placement point. The
+   * anchor is created on the next XR frame; from then on the object follows
+   * the anchor's pose, keeping its current offset from the point (e.g. the
+   * floor offset). Does nothing when anchors are unsupported.
+   * @param {THREE.Object3D} object3D - Placed object (position already set)
+   * @param {{x: number, y: number, z: number}} position - Hit position in the local reference space
+   * @param {{anchor: XRAnchor, persistentHandle: string}|null} existing - Use this
+   *   anchor (e.g. from restorePersistentAnchor) instead of creating one
+   * @returns {boolean} True when the object is (or will be) anchored
+   */
+  anchorObject(object3D, position, existing = null) {
+    this.detachAnchor(object3D);
+    if (!this.session || !this.anchorsAvailable || !object3D || !position) return false;
+    
+    this.anchors.set(object3D, {
+      anchor: existing?.anchor || null,
+      requestedPosition: { x: position.x, y: position.y, z: position.z },
+      position: { x: position.x, y: position.y, z: position.z },
+      offset: null,
+      pending: !existing?.anchor,
+      lostSince: 0,
+      persistentHandle: existing?.persistentHandle || null
+    });
+    return true;
+  }
+  
+  /**
+   * Stop following the anchor of an object and delete the anchor (and its
+   * persistent handle). The object keeps its last position.
+   * @param {THREE.Object3D} object3D
+   * @returns {{x: number, y: number, z: number}|null} Last anchored placement point, if any
+   */
+  detachAnchor(object3D) {
+    const record = this.anchors.get(object3D);
+    if (!record) return null;
+    
+    this.anchors.delete(object3D);
+    this._deleteAnchor(record);
+    return record.offset ? { ...record.position } : null;
+  }
+  
+  /**
+   * Persistent handle of an object's anchor (only when config.ar.anchor.persistent
+   * is on and the browser supports persistent anchors)
+   * @param {THREE.Object3D} object3D
+   * @returns {string|null}
+   */
+  getPersistentHandle(object3D) {
+    return this.anchors.get(object3D)?.persistentHandle || null;
+  }
+  
+  /**
+   * Re-create an anchor saved in an earlier session and wait until the
+   * device has re-localized it
+   * @param {string} handle - Persistent anchor handle
+   * @returns {Promise<{anchor: XRAnchor, position: {x: number, y: number, z: number}}|null>}
+   *   The anchor and its pose in the local reference space, or null when it
+   *   is unsupported, unknown or not found in time
+   */
+  async restorePersistentAnchor(handle) {
+    if (!handle || !this.anchorsAvailable || typeof this.session?.restorePersistentAnchor !== 'function') {
+      return null;
+    }
+    
+    let anchor;
+    try {
+      anchor = await this.session.restorePersistentAnchor(handle);
+    } catch (error) {
+      this.logger.warning('AR_ANCHOR', 'Persistent anchor could not be restored', {
+        handle,
+        error: error.message
+      });
+      return null;
+    }
+    if (!this.session) {
+      try { anchor.delete(); } catch (_) { /* ignore */ }
+      return null;
+    }
+
+    const position = await new Promise(resolve => {
+      this._anchorWaiters.push({ anchor, resolve, deadline: 0 });
+    });
+    if (!position) {
+      this.logger.warning('AR_ANCHOR', 'Persistent anchor not re-localized in time', { handle });
+      try { anchor.delete(); } catch (_) { /* ignore */ }
+      return null;
+    }
+    
+    this.logger.success('AR_ANCHOR', 'Persistent anchor restored', { handle, position });
+    return { anchor, position };
+  }
+  
+  /**
+   * Remove a persistent anchor from the browser's storage
+   * @param {string} handle
+   */
+  deletePersistentAnchor(handle) {
+    if (!handle || typeof this.session?.deletePersistentAnchor !== 'function') return;
+    this.session.deletePersistentAnchor(handle).catch(() => { /* ignore - already gone */ });
+  }
+  
+  /**
+   * Internal: resolve restored anchors once tracked, or give up after a timeout
+   */
+  _updateAnchorWaiters(frame, time) {
+    this._anchorWaiters = this._anchorWaiters.filter(waiter => {
+      if (!waiter.deadline) waiter.deadline = time + ANCHOR_RESTORE_TIMEOUT;
+      
+      const tracked = !frame.trackedAnchors || frame.trackedAnchors.has(waiter.anchor);
+      const pose = tracked ? frame.getPose(waiter.anchor.anchorSpace, this.referenceSpace) : null;
+      if (pose) {
+        const p = pose.transform.position;
+        waiter.resolve({ x: p.x, y: p.y, z: p.z });
+        return false;
+      }
+      if (time > waiter.deadline) {
+        waiter.resolve(null);
+        return false;
+      }
+      return true;
+    });
+  }
+  
+  /**
+   * Internal: create pending anchors and move anchored objects to their anchor poses
+   */
+  _updateAnchors(frame, time) {
+    for (const [object3D, record] of this.anchors) {
+      // Entity removed from the scene without detaching
+      if (!object3D.parent) {
+        this.anchors.delete(object3D);
+        this._deleteAnchor(record);
+        continue;
+      }
+      
+      if (record.pending) {
+        record.pending = false;
+        this._createAnchor(frame, object3D, record);
+        continue;
+      }
+      if (!record.anchor) continue;
+      
+      if (frame.trackedAnchors && !frame.trackedAnchors.has(record.anchor)) {
+        this._onAnchorUntracked(object3D, record, time);
+        continue;
+      }
+      
+      const pose = frame.getPose(record.anchor.anchorSpace, this.referenceSpace);
+      if (!pose) continue;
+      
+      if (record.lostSince) {
+        record.lostSince = 0;
+        this.logger.info('AR_ANCHOR', 'Anchor tracking restored');
+      }
+      
+      const p = pose.transform.position;
+      if (!record.offset) {
+        // Measured against the first pose so the object does not jump when
+        // the anchor attached slightly away from the placement point
+        record.offset = {
+          x: object3D.position.x - p.x,
+          y: object3D.position.y - p.y,
+          z: object3D.position.z - p.z
+        };
+      }
+      record.position = { x: p.x, y: p.y, z: p.z };
+      object3D.position.set(p.x + record.offset.x, p.y + record.offset.y, p.z + record.offset.z);
+    }
+  }
+  
+  /**
+   * Internal: create an anchor for a record. Prefers the current hit result
+   * (attached to the detected plane), else a free anchor at the placement point.
+   */
+  async _createAnchor(frame, object3D, record) {
+    const target = record.requestedPosition;
+    const hitPosition = this.lastHitPosition;
+    const useHit = !!(this.lastHitResult?.createAnchor && hitPosition
+      && Math.hypot(hitPosition.x - target.x, hitPosition.y - target.y, hitPosition.z - target.z) <= ANCHOR_HIT_TOLERANCE);
+    
+    let anchor;
+    try {
+      anchor = useHit
+        ? await this.lastHitResult.createAnchor()
+        : await frame.createAnchor(new XRRigidTransform(target), this.referenceSpace);
+    } catch (error) {
+      this.logger.warning('AR_ANCHOR', 'Failed to create anchor - using fixed position', {
+        error: error.message
+      });
+      if (this.anchors.get(object3D) === record) this.anchors.delete(object3D);
+      return;
+    }
+    
+    // Detached (or session ended) while the anchor was being created
+    if (this.anchors.get(object3D) !== record) {
+      try { anchor.delete(); } catch (_) { /* ignore */ }
+      return;
+    }
+    
+    record.anchor = anchor;
+    this.logger.success('AR_ANCHOR', 'Anchor created', {
+      source: useHit ? 'hit-test result' : 'reference space',
+      position: target
+    });
+    
+    if (getConfig().ar?.anchor?.persistent && typeof anchor.requestPersistentHandle === 'function') {
+      try {
+        const handle = await anchor.requestPersistentHandle();
+        if (this.anchors.get(object3D) === record) {
+          record.persistentHandle = handle;
+          this.logger.info('AR_ANCHOR', 'Persistent anchor handle created', { handle });
+        }
+      } catch (error) {
+        this.logger.warning('AR_ANCHOR', 'Persistent anchor handle unavailable', { error: error.message });
+      }
+    }
+  }
+  
+  /**
+   * Internal: an anchor is no longer tracked. The object stays at its last
+   * pose; if tracking does not come back it is re-anchored there.
+   */
+  _onAnchorUntracked(object3D, record, time) {
+    if (!record.lostSince) {
+      record.lostSince = time;
+      this.logger.warning('AR_ANCHOR', 'Anchor tracking lost - holding last position');
+      return;
+    }
+    if (time - record.lostSince < ANCHOR_LOSS_TIMEOUT) return;
+    
+    this.logger.warning('AR_ANCHOR', 'Anchor not recovered - re-anchoring at last position', {
+      position: record.position
+    });
+    this._deleteAnchor(record);
+    Object.assign(record, {
+      anchor: null,
+      requestedPosition: { ...record.position },
+      offset: null,
+      pending: true,
+      lostSince: 0,
+      persistentHandle: null
+    });
+  }
+  
+  _deleteAnchor(record) {
+    this.deletePersistentAnchor(record.persistentHandle);
+    try { record.anchor?.delete(); } catch (_) { /* ignore */ }
+  }
+
   /**
    * Internal: track surface detection state with stabilization timer.
-   * Transitions from 'detecting' → 'detected' after continuous hits for _hitStableThreshold ms.
+   * Transitions from 'detecting' → 'detected' after continuous hits for _hitStableThreshold ms
+   * (immediately when `confirmed`, i.e. the hit lies on a detected plane).
    * Resets to 'detecting' when hits stop.
    */
-  _updateSurfaceState(hitActive, time) {
+  _updateSurfaceState(hitActive, time, confirmed = false) {
     if (hitActive) {
       if (!this._lastHitActive) {
         // Hits just started – begin stability timer
         this._hitStableStart = time;
       }
-      if (this.surfaceState === 'detecting' && (time - this._hitStableStart) >= this._hitStableThreshold) {
+      const stable = confirmed || (time - this._hitStableStart) >= this._hitStableThreshold;
+      if (this.surfaceState === 'detecting' && stable) {
         this._setSurfaceState('detected');
       }
     } else {
@@ -567,3 +1249,32 @@ export class ARSession {
     }));
   }
 }
+
+/**
+ * Classify a surface from its normal
+ * @param {{x: number, y: number, z: number}} normal - Unit surface normal
+ * @returns {string} 'floor' | 'wall' | 'other'
+ */
+export function classifySurface(normal) {
+  if (normal.y >= FLOOR_MIN_UP) return 'floor';
+  if (Math.abs(normal.y) <= WALL_MAX_UP) return 'wall';
+  return 'other';
+}
+
+/**
+ * Whether a model with a placement type may be placed on a surface
+ * @param {string} placementType - 'floor' | 'wall' | 'any'
+ * @param {string|null} surface - From classifySurface (null = unknown)
+ */
+export function isSurfaceCompatible(placementType, surface) {
+  if (!surface || placementType === 'any') return surface !== 'other';
+  return placementType === surface;
+}
+
+/**
+ * Placement type of models without a `placement` field (config.ar.hitTest.type)
+ * @returns {string} 'floor' | 'wall' | 'any'
+ */
+export function getDefaultPlacementType() {
+  return PLACEMENT_TYPES[getConfig().ar?.hitTest?.type] || 'floor';
+}
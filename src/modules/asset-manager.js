@@ -5,6 +5,7 @@
  */
 
 import { getLogger } from './logger.js';
+import { verifyBlob, IMAGE_FORMATS } from './integrity.js';
 
 export class AssetManager {
   constructor() {
@@ -46,6 +47,8 @@ export class AssetManager {
 
   /**
    * Download a single image and cache as blob URL.
+   * Responses that are not an image (e.g. an HTML error page served with
+   * HTTP 200) are rejected so the original URL is used instead.
    * @param {string} url - Image URL to download
    */
   async _downloadImage(url) {
@@ -55,6 +58,16 @@ export class AssetManager {
       const response = await fetch(url);
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const blob = await response.blob();
+      const check = await verifyBlob(blob, { formats: IMAGE_FORMATS });
+      if (!check.valid) {
+        this.logger.error('ASSET_INTEGRITY', `Downloaded image failed verification: ${url}`, {
+          format: check.format,
+          size: blob.size,
+          contentType: blob.type,
+          errors: check.errors
+        });
+        throw new Error(check.errors[0]);
+      }
       const blobUrl = URL.createObjectURL(blob);
       this.imageCache.set(url, blobUrl);
     } catch (error) {
@@ -0,0 +1,152 @@
+/**
+ * Catalog Events
+ * Subscribes to the backend's Server-Sent Events stream so catalog edits
+ * (models added, removed or changed) reach the app without a manual refresh.
+ *
+ * Expected events (named `catalog` or the default `message`):
+ *   data: {"type": "catalog-updated"}                 → app re-fetches /api/config
+ *   data: {"type": "catalog-updated", "config": {...}} → app applies the pushed config
+ */
+
+import { getLogger } from './logger.js';
+
+export class CatalogEvents {
+  /**
+   * @param {string} url - Event stream URL
+   * @param {Function} onCatalogChange - Called with the pushed config (or null to re-fetch)
+   * @param {object} options
+   * @param {number} options.debounce - Coalesce bursts of events (ms)
+   */
+  constructor(url, onCatalogChange, options = {}) {
+    this.url = url;
+    this.onCatalogChange = onCatalogChange;
+    this.debounce = options.debounce ?? 1000;
+    this.logger = getLogger();
+
+    this.eventSource = null;
+    this.debounceTimer = null;
+    this.reconnectTimer = null;
+    this.pendingConfig = null;
+
+    // Reconnect backoff when the browser gives up on a stream that worked
+    // before (server restarted or down). A stream that never opened (404,
+    // not text/event-stream) is not retried.
+    this.reconnectDelay = 5000;
+    this.maxReconnectDelay = 300000;
+    this.hasConnected = false;
+
+    // Bind methods
+    this.onMessage = this.onMessage.bind(this);
+    this.onOpen = this.onOpen.bind(this);
+    this.onError = this.onError.bind(this);
+  }
+
+  /**
+   * Open the event stream
+   */
+  start() {
+    if (this.eventSource) return;
+    if (typeof EventSource === 'undefined') {
+      this.logger.warning('CATALOG_EVENTS', 'EventSource not supported - live catalog updates disabled');
+      return;
+    }
+
+    this.logger.info('CATALOG_EVENTS', 'Connecting to catalog event stream', { url: this.url });
+    this.eventSource = new EventSource(this.url);
+    this.eventSource.addEventListener('open', this.onOpen);
+    this.eventSource.addEventListener('error', this.onError);
+    this.eventSource.addEventListener('message', this.onMessage);
+    this.eventSource.addEventListener('catalog', this.onMessage);
+  }
+
+  /**
+   * Close the event stream and cancel pending work
+   */
+  stop() {
+    if (this.eventSource) {
+      this.eventSource.removeEventListener('open', this.onOpen);
+      this.eventSource.removeEventListener('error', this.onError);
+      this.eventSource.removeEventListener('message', this.onMessage);
+      this.eventSource.removeEventListener('catalog', this.onMessage);
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.reconnectTimer);
+    this.debounceTimer = null;
+    this.reconnectTimer = null;
+  }
+
+  onOpen() {
+    const isReconnect = this.hasConnected;
+    this.hasConnected = true;
+    this.reconnectDelay = 5000;
+    this.logger.success('CATALOG_EVENTS', isReconnect ? 'Catalog event stream reconnected' : 'Catalog event stream connected');
+
+    // Edits may have happened while we were disconnected
+    if (isReconnect) {
+      this.scheduleChange(null);
+    }
+  }
+
+  onError() {
+    // CONNECTING: the browser retries on its own; CLOSED: it gave up (e.g. HTTP 404/500)
+    if (!this.eventSource || this.eventSource.readyState !== EventSource.CLOSED) {
+      this.logger.info('CATALOG_EVENTS', 'Catalog event stream interrupted - browser is reconnecting');
+      return;
+    }
+
+    if (!this.hasConnected) {
+      this.logger.warning('CATALOG_EVENTS', 'Catalog event stream unavailable - live catalog updates disabled', {
+        url: this.url
+      });
+      this.stop();
+      return;
+    }
+
+    this.logger.warning('CATALOG_EVENTS', 'Catalog event stream closed - retrying later', {
+      url: this.url,
+      retryInMs: this.reconnectDelay
+    });
+    this.stop();
+    this.reconnectTimer = setTimeout(() => this.start(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  onMessage(event) {
+    let payload = null;
+    try {
+      payload = event.data ? JSON.parse(event.data) : null;
+    } catch (_) {
+      // Plain-text pings ("catalog-updated") are treated as a change notification
+    }
+
+    if (payload?.type && payload.type !== 'catalog-updated') {
+      this.logger.info('CATALOG_EVENTS', 'Ignoring catalog event', { type: payload.type });
+      return;
+    }
+
+    this.logger.event('CATALOG_EVENTS', 'Catalog change received', {
+      hasConfig: !!payload?.config,
+      lastEventId: event.lastEventId || null
+    });
+    this.scheduleChange(payload?.config || null);
+  }
+
+  /**
+   * Debounce change notifications; a pushed config wins over a plain notification
+   * @param {object|null} config - Pushed config, or null to re-fetch
+   */
+  scheduleChange(config) {
+    if (config) {
+      this.pendingConfig = config;
+    }
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      const pushed = this.pendingConfig;
+      this.pendingConfig = null;
+      this.debounceTimer = null;
+      this.onCatalogChange?.(pushed);
+    }, this.debounce);
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Depth Occlusion
+ * Hides the parts of virtual models that are behind real objects, using the
+ * WebXR depth-sensing feature. The CPU depth buffer of each frame is uploaded
+ * to a texture, and model materials are patched to discard fragments that lie
+ * farther from the camera than the real surface at that pixel.
+ * Materials are patched once; the shared uniforms switch occlusion on and off.
+ */
+
+import { getLogger } from './logger.js';
+
+// Fragments this far (m) behind the real surface are hidden - absorbs depth noise
+const DEPTH_TOLERANCE = 0.03;
+
+const VERTEX_DECLARATIONS = `
+varying float vOcclusionDepth;
+`;
+
+const VERTEX_DEPTH = `
+vOcclusionDepth = -mvPosition.z;
+`;
+
+const FRAGMENT_DECLARATIONS = `
+uniform bool uOcclusionEnabled;
+uniform bool uOcclusionPacked;
+uniform sampler2D uOcclusionDepth;
+uniform mat4 uOcclusionUvTransform;
+uniform float uOcclusionRawToMeters;
+uniform vec2 uOcclusionViewport;
+varying float vOcclusionDepth;
+
+float getRealDepth(vec2 uv) {
+  vec4 texel = texture2D(uOcclusionDepth, uv);
+  // luminance-alpha: 16-bit value split over two 8-bit channels
+  float raw = uOcclusionPacked ? dot(texel.rg, vec2(255.0, 65280.0)) : texel.r;
+  return raw * uOcclusionRawToMeters;
+}
+`;
+
+const FRAGMENT_TEST = `
+if (uOcclusionEnabled) {
+  // Normalized view coordinates have their origin at the top left
+  vec2 normView = vec2(gl_FragCoord.x / uOcclusionViewport.x, 1.0 - gl_FragCoord.y / uOcclusionViewport.y);
+  vec2 depthUv = (uOcclusionUvTransform * vec4(normView, 0.0, 1.0)).xy;
+  float realDepth = getRealDepth(depthUv);
+  if (realDepth > 0.0 && vOcclusionDepth > realDepth + ${DEPTH_TOLERANCE.toFixed(3)}) discard;
+}
+`;
+
+export class DepthOcclusion {
+  /**
+   * @param {Element} scene - A-Frame scene
+   * @param {object} options
+   * @param {boolean} options.enabled - Request depth sensing
+   * @param {boolean} options.defaultOn - Occlusion on when the session starts
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.logger = getLogger();
+    this.enabled = options.enabled !== false;
+    this.defaultOn = options.defaultOn !== false;
+
+    this.supported = false; // Session delivers CPU depth data
+    this.active = false;    // User toggle
+    this.session = null;
+    this.texture = null;
+
+    // Shared by every patched material
+    this.uniforms = {
+      uOcclusionEnabled: { value: false },
+      uOcclusionPacked: { value: true },
+      uOcclusionDepth: { value: null },
+      uOcclusionUvTransform: { value: new THREE.Matrix4() },
+      uOcclusionRawToMeters: { value: 0.001 },
+      uOcclusionViewport: { value: new THREE.Vector2(1, 1) }
+    };
+    this.patchedMaterials = new WeakSet();
+  }
+
+  /**
+   * Session init entries for depth sensing (merged into the session request)
+   * @returns {object|null} { depthSensing } or null when disabled
+   */
+  getSessionInit() {
+    if (!this.enabled) return null;
+    return {
+      depthSensing: {
+        usagePreference: ['cpu-optimized'],
+        dataFormatPreference: ['luminance-alpha', 'float32']
+      }
+    };
+  }
+
+  /**
+   * Check what the session granted
+   * @param {XRSession} session
+   * @returns {boolean} True when occlusion can be used
+   */
+  start(session) {
+    this.session = session;
+    const granted = !session.enabledFeatures || session.enabledFeatures.includes('depth-sensing');
+    this.supported = this.enabled && granted && session.depthUsage === 'cpu-optimized';
+    this.active = this.supported && this.defaultOn;
+
+    if (this.supported) {
+      this.uniforms.uOcclusionPacked.value = session.depthDataFormat !== 'float32';
+      this.logger.success('DEPTH_OCCLUSION', 'Depth sensing available', {
+        format: session.depthDataFormat,
+        active: this.active
+      });
+    } else {
+      this.logger.info('DEPTH_OCCLUSION', this.enabled
+        ? 'Depth sensing not supported - models render without occlusion'
+        : 'Disabled in config');
+    }
+    return this.supported;
+  }
+
+  /**
+   * Turn occlusion on or off (no effect when unsupported)
+   * @returns {boolean} New state
+   */
+  setActive(active) {
+    this.active = this.supported && !!active;
+    if (!this.active) this.uniforms.uOcclusionEnabled.value = false;
+    this.logger.info('DEPTH_OCCLUSION', `Occlusion ${this.active ? 'on' : 'off'}`);
+    return this.active;
+  }
+
+  /**
+   * Upload this frame's depth buffer (call once per XR frame)
+   * @param {XRFrame} frame
+   * @param {XRReferenceSpace} referenceSpace
+   */
+  update(frame, referenceSpace) {
+    const uniforms = this.uniforms;
+    if (!this.active) return;
+
+    const view = frame.getViewerPose(referenceSpace)?.views[0];
+    let depth = null;
+    try {
+      depth = view ? frame.getDepthInformation(view) : null;
+    } catch (_) {
+      depth = null; // Not available this frame
+    }
+    if (!depth) {
+      uniforms.uOcclusionEnabled.value = false;
+      return;
+    }
+
+    this._uploadDepth(depth);
+    uniforms.uOcclusionUvTransform.value.fromArray(depth.normDepthBufferFromNormView.matrix);
+    uniforms.uOcclusionRawToMeters.value = depth.rawValueToMeters;
+
+    const layer = this.session?.renderState.baseLayer;
+    if (layer) {
+      uniforms.uOcclusionViewport.value.set(layer.framebufferWidth, layer.framebufferHeight);
+    }
+    uniforms.uOcclusionEnabled.value = true;
+  }
+
+  /**
+   * Patch the materials of a model so real objects can hide it
+   * @param {THREE.Object3D} object3D - Model root
+   */
+  patchObject(object3D) {
+    object3D.traverse(node => {
+      if (!node.isMesh) return;
+      const materials = Array.isArray(node.material) ? node.material : [node.material];
+      materials.filter(Boolean).forEach(material => this._patchMaterial(material));
+    });
+  }
+
+  /**
+   * Release the depth texture (session ended)
+   */
+  stop() {
+    this.uniforms.uOcclusionEnabled.value = false;
+    this.uniforms.uOcclusionDepth.value = null;
+    this.texture?.dispose();
+    this.texture = null;
+    this.session = null;
+    this.supported = false;
+    this.active = false;
+  }
+
+  _uploadDepth(depth) {
+    const packed = this.uniforms.uOcclusionPacked.value;
+    const { width, height } = depth;
+
+    if (!this.texture || this.texture.image.width !== width || this.texture.image.height !== height) {
+      this.texture?.dispose();
+      const data = packed ? new Uint8Array(width * height * 2) : new Float32Array(width * height);
+      this.texture = new THREE.DataTexture(
+        data,
+        width,
+        height,
+        packed ? THREE.RGFormat : THREE.RedFormat,
+        packed ? THREE.UnsignedByteType : THREE.FloatType
+      );
+      this.texture.magFilter = THREE.NearestFilter;
+      this.texture.minFilter = THREE.NearestFilter;
+      this.texture.unpackAlignment = 1;
+      this.uniforms.uOcclusionDepth.value = this.texture;
+    }
+
+    const source = packed ? new Uint8Array(depth.data) : new Float32Array(depth.data);
+    this.texture.image.data.set(source);
+    this.texture.needsUpdate = true;
+  }
+
+  _patchMaterial(material) {
+    if (this.patchedMaterials.has(material)) return;
+    this.patchedMaterials.add(material);
+
+    const previous = material.onBeforeCompile;
+    material.onBeforeCompile = (shader, renderer) => {
+      previous?.call(material, shader, renderer);
+      Object.assign(shader.uniforms, this.uniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>\n${VERTEX_DECLARATIONS}`)
+        .replace('#include <project_vertex>', `#include <project_vertex>\n${VERTEX_DEPTH}`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>\n${FRAGMENT_DECLARATIONS}`)
+        .replace('#include <clipping_planes_fragment>', `#include <clipping_planes_fragment>\n${FRAGMENT_TEST}`);
+    };
+    const previousKey = material.customProgramCacheKey;
+    material.customProgramCacheKey = () => `${previousKey.call(material)}|depth-occlusion`;
+    material.needsUpdate = true;
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * Entity Cache
+ * Parsed model entities kept (hidden) in the scene for instant switching.
+ * Each ready entity's GPU/CPU cost is estimated from its geometry buffers and
+ * textures; when the total exceeds the budget the least recently used
+ * entities are removed and their Three.js resources disposed.
+ *
+ * Entries are { entity, config, isReady, layers, quality } as before; the
+ * cache adds `cost` and `lastAccess`. It keeps the Map interface (get, set,
+ * has, delete, size, iteration), but delete() also disposes the entity
+ * (unless onDelete keeps its resources).
+ */
+
+import { getLogger } from './logger.js';
+
+export class EntityCache {
+  /**
+   * @param {object} options
+   * @param {number} options.maxSizeMB - Estimated memory budget for all cached entities (in MB)
+   */
+  constructor(options = {}) {
+    this.logger = getLogger();
+    this.maxBytes = (options.maxSizeMB ?? 256) * 1024 * 1024;
+    this.entries = new Map();
+    this.evictions = 0;
+
+    // Called with getStats() whenever the cache content changes
+    this.onChange = null;
+
+    // Called with a model ID and its entity before the entity is disposed;
+    // returning true keeps the entity's resources alive for the caller (the
+    // entity still leaves the scene)
+    this.onDelete = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  set(id, entry) {
+    const previous = this.entries.get(id);
+    if (previous && previous.entity !== entry.entity) {
+      this._release(id, previous.entity);
+    }
+    this.entries.set(id, { cost: null, ...entry, lastAccess: Date.now() });
+    this._notify();
+    return this;
+  }
+
+  /**
+   * Remove an entry, detach its entity from the scene and free its
+   * geometries, materials and textures
+   * @returns {boolean} True when an entry was removed
+   */
+  delete(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    this.entries.delete(id);
+    this._release(id, entry.entity);
+    this._notify();
+    return true;
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  values() {
+    return this.entries.values();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries[Symbol.iterator]();
+  }
+
+  /**
+   * Mark an entry as recently used (model shown again)
+   */
+  touch(id) {
+    const entry = this.entries.get(id);
+    if (entry) entry.lastAccess = Date.now();
+  }
+
+  /**
+   * Estimate the cost of a parsed entity (call once its mesh is loaded)
+   * @param {string} id - Model ID
+   * @returns {object|null} Cost estimate (see estimateObjectCost)
+   */
+  measure(id) {
+    const entry = this.entries.get(id);
+    const mesh = entry?.entity?.getObject3D('mesh');
+    if (!mesh) return null;
+
+    entry.cost = estimateObjectCost(mesh);
+    this.logger.info('ENTITY_CACHE', 'Parsed model cost estimated', {
+      modelId: id,
+      vertices: entry.cost.vertices,
+      triangles: entry.cost.triangles,
+      textures: entry.cost.textures,
+      geometryMB: toMB(entry.cost.geometryBytes),
+      textureMB: toMB(entry.cost.textureBytes)
+    });
+    this._notify();
+    return entry.cost;
+  }
+
+  /**
+   * Evict least-recently-used ready entities until the total fits the budget
+   * @param {string[]} pinnedIds - Entities that must stay (e.g. the active model)
+   */
+  enforceBudget(pinnedIds = []) {
+    let total = this.getTotalBytes();
+    if (total <= this.maxBytes) return;
+
+    const candidates = [...this.entries]
+      .filter(([id, entry]) => entry.isReady && !pinnedIds.includes(id))
+      .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    for (const [id, entry] of candidates) {
+      if (total <= this.maxBytes) break;
+      const bytes = entry.cost?.bytes || 0;
+      this.delete(id);
+      total -= bytes;
+      this.evictions++;
+      this.logger.info('ENTITY_CACHE', 'Evicted least recently used model entity', {
+        modelId: id,
+        estimatedMB: toMB(bytes),
+        lastAccess: new Date(entry.lastAccess).toISOString()
+      });
+    }
+
+    if (total > this.maxBytes) {
+      this.logger.warning('ENTITY_CACHE', 'Active model alone exceeds the entity cache budget', {
+        totalMB: toMB(total),
+        maxMB: toMB(this.maxBytes)
+      });
+    }
+  }
+
+  /**
+   * Dispose every cached entity
+   */
+  clear() {
+    for (const [id, entry] of this.entries) {
+      this._release(id, entry.entity);
+    }
+    this.entries.clear();
+    this._notify();
+  }
+
+  /**
+   * Estimated bytes held by all measured entities
+   */
+  getTotalBytes() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.cost?.bytes || 0;
+    }
+    return total;
+  }
+
+  /**
+   * Get entity cache statistics
+   */
+  getStats() {
+    let vertices = 0;
+    let textureBytes = 0;
+    let ready = 0;
+    for (const entry of this.entries.values()) {
+      if (entry.isReady) ready++;
+      vertices += entry.cost?.vertices || 0;
+      textureBytes += entry.cost?.textureBytes || 0;
+    }
+    return {
+      entries: this.entries.size,
+      ready,
+      vertices,
+      textureBytes,
+      totalBytes: this.getTotalBytes(),
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  _release(id, entity) {
+    if (this.onDelete?.(id, entity)) {
+      entity.parentNode?.removeChild(entity);
+    } else {
+      disposeEntity(entity);
+    }
+  }
+
+  _notify() {
+    this.onChange?.(this.getStats());
+  }
+}
+
+/**
+ * Estimate the memory held by an object tree: geometry buffers (shared
+ * buffers counted once) and textures (RGBA8 plus mip chain, or the actual
+ * size of compressed mip levels)
+ * @param {THREE.Object3D} object3D - Parsed model root
+ * @returns {{bytes: number, geometryBytes: number, textureBytes: number,
+ *   vertices: number, triangles: number, textures: number}}
+ */
+export function estimateObjectCost(object3D) {
+  const buffers = new Set();
+  const textures = new Set();
+  let geometryBytes = 0;
+  let vertices = 0;
+  let triangles = 0;
+
+  object3D.traverse(node => {
+    const geometry = node.geometry;
+    if (geometry?.isBufferGeometry) {
+      const arrays = Object.values(geometry.attributes).map(attribute =>
+        attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array);
+      if (geometry.index) arrays.push(geometry.index.array);
+      for (const array of arrays) {
+        if (array && !buffers.has(array)) {
+          buffers.add(array);
+          geometryBytes += array.byteLength;
+        }
+      }
+
+      const count = geometry.attributes.position?.count || 0;
+      vertices += count;
+      if (node.isMesh) {
+        triangles += Math.floor((geometry.index ? geometry.index.count : count) / 3);
+      }
+    }
+
+    for (const material of materialsOf(node)) {
+      for (const texture of texturesOf(material)) textures.add(texture);
+    }
+  });
+
+  let textureBytes = 0;
+  for (const texture of textures) {
+    textureBytes += estimateTextureBytes(texture);
+  }
+
+  return {
+    bytes: geometryBytes + textureBytes,
+    geometryBytes,
+    textureBytes,
+    vertices,
+    triangles,
+    textures: textures.size
+  };
+}
+
+/**
+ * Free the GPU resources of an object tree. Textures shared with the scene
+ * (the environment map) are left alone.
+ * @param {THREE.Object3D} object3D - Root to dispose
+ * @param {Set<THREE.Texture>} keep - Textures that must not be disposed
+ */
+export function disposeObject3D(object3D, keep = new Set()) {
+  object3D.traverse(node => {
+    node.geometry?.dispose?.();
+    node.skeleton?.dispose?.();
+
+    for (const material of materialsOf(node)) {
+      for (const texture of texturesOf(material)) {
+        if (keep.has(texture)) continue;
+        texture.dispose();
+        // GLTFLoader decodes images to ImageBitmaps, which hold memory until closed
+        texture.source?.data?.close?.();
+      }
+      material.dispose();
+    }
+  });
+}
+
+/**
+ * Dispose an A-Frame model entity and remove it from the scene
+ */
+function disposeEntity(entity) {
+  if (!entity) return;
+
+  const sceneEnvironment = entity.sceneEl?.object3D?.environment;
+  if (entity.object3D) {
+    disposeObject3D(entity.object3D, new Set(sceneEnvironment ? [sceneEnvironment] : []));
+  }
+
+  // a-assets enables THREE.Cache, which would keep the raw file for this URL
+  const src = entity.getAttribute?.('gltf-model');
+  if (typeof src === 'string' && typeof THREE !== 'undefined') {
+    THREE.Cache.remove(src);
+  }
+
+  entity.parentNode?.removeChild(entity);
+}
+
+function materialsOf(node) {
+  if (!node.material) return [];
+  return Array.isArray(node.material) ? node.material : [node.material];
+}
+
+function texturesOf(material) {
+  return Object.values(material).filter(value => value?.isTexture);
+}
+
+function estimateTextureBytes(texture) {
+  if (texture.isCompressedTexture) {
+    return (texture.mipmaps || []).reduce((sum, level) => sum + (level.data?.byteLength || 0), 0);
+  }
+  const image = texture.image;
+  const width = image?.width || 0;
+  const height = image?.height || 0;
+  const base = width * height * 4;
+  return texture.generateMipmaps ? Math.round(base * 4 / 3) : base;
+}
+
+function toMB(bytes) {
+  return Math.round(bytes / (1024 * 1024) * 10) / 10;
+}
@@ -14,6 +14,34 @@ export class Gallery {
     this.modelGrid = document.getElementById('model-grid');
     this.galleryBtn = document.getElementById('gallery-btn');
     this.closeBtn = document.getElementById('close-gallery');
+    this.qualitySelector = document.getElementById('quality-selector');
+    this.sceneModeSelector = document.getElementById('scene-mode-selector');
+    this.openFileBtn = document.getElementById('open-file-btn');
+    this.openFileInput = document.getElementById('open-file-input');
+    this.galleryContent = this.galleryModal?.querySelector('.gallery-content');
+    
+    // Called with 'low' | 'medium' | 'high' | null (automatic)
+    this.onQualityChange = null;
+    
+    // Called with true when selections should add to the scene, false to replace
+    this.onSceneModeChange = null;
+    
+    // Called with the files picked or dropped for a local preview
+    this.onOpenFiles = null;
+    
+    // Temporary models opened from the device (shown before the catalog)
+    this.localModels = [];
+    
+    // modelId -> { bytes, level } download size shown on the card
+    this.modelSizes = new Map();
+    
+    // Cards currently on screen (gallery open), in catalog order
+    this.visibleModelIds = new Set();
+    // Called with the visible model IDs whenever they change
+    this.onVisibleModelsChange = null;
+    this.cardObserver = typeof IntersectionObserver !== 'undefined'
+      ? new IntersectionObserver(entries => this.onCardVisibility(entries), { threshold: 0.25 })
+      : null;
     
     this.init();
   }
@@ -30,6 +58,50 @@ export class Gallery {
       }
     });
     
+    // Quality override buttons
+    this.qualitySelector?.addEventListener('click', (e) => {
+      const option = e.target.closest('.quality-option');
+      if (!option || !this.enabled) return;
+      const quality = option.dataset.quality === 'auto' ? null : option.dataset.quality;
+      this.setQuality(quality);
+      this.onQualityChange?.(quality);
+    });
+    
+    // Scene mode buttons
+    this.sceneModeSelector?.addEventListener('click', (e) => {
+      const option = e.target.closest('.quality-option');
+      if (!option || !this.enabled) return;
+      const sceneMode = option.dataset.sceneMode === 'add';
+      this.setSceneMode(sceneMode);
+      this.onSceneModeChange?.(sceneMode);
+    });
+    
+    // Open local files (file picker, or drag-and-drop on desktop)
+    this.openFileBtn?.addEventListener('click', () => {
+      if (this.enabled) this.openFileInput?.click();
+    });
+    this.openFileInput?.addEventListener('change', () => {
+      const files = [...this.openFileInput.files];
+      this.openFileInput.value = '';
+      if (files.length > 0) this.onOpenFiles?.(files);
+    });
+    this.galleryContent?.addEventListener('dragover', (e) => {
+      if (!this.enabled || !e.dataTransfer?.types.includes('Files')) return;
+      e.preventDefault();
+      this.galleryContent.classList.add('drag-over');
+    });
+    this.galleryContent?.addEventListener('dragleave', (e) => {
+      if (!this.galleryContent.contains(e.relatedTarget)) {
+        this.galleryContent.classList.remove('drag-over');
+      }
+    });
+    this.galleryContent?.addEventListener('drop', (e) => {
+      this.galleryContent.classList.remove('drag-over');
+      if (!this.enabled || !e.dataTransfer?.files.length) return;
+      e.preventDefault();
+      this.onOpenFiles?.([...e.dataTransfer.files]);
+    });
+    
     // Build gallery grid
     this.buildGallery();
   }
@@ -41,21 +113,85 @@ export class Gallery {
     if (!this.modelGrid) return;
     
     // Clear existing content
+    this.cardObserver?.disconnect();
+    this.visibleModelIds.clear();
     this.modelGrid.innerHTML = '';
     
-    // Create model cards
-    this.models.forEach(model => {
+    // Create model cards (local previews first)
+    [...this.localModels, ...this.models].forEach(model => {
       const card = this.createModelCard(model);
       this.modelGrid.appendChild(card);
+      this.cardObserver?.observe(card);
+    });
+    
+    // Quality override only matters when some model has variants
+    const hasVariants = this.models.some(model => model.variants);
+    this.qualitySelector?.classList.toggle('hidden', !hasVariants);
+  }
+
+  /**
+   * Track which cards are on screen (none while the gallery is hidden)
+   */
+  onCardVisibility(entries) {
+    let changed = false;
+    for (const entry of entries) {
+      const modelId = entry.target.dataset.modelId;
+      if (entry.isIntersecting !== this.visibleModelIds.has(modelId)) {
+        changed = true;
+        if (entry.isIntersecting) {
+          this.visibleModelIds.add(modelId);
+        } else {
+          this.visibleModelIds.delete(modelId);
+        }
+      }
+    }
+    if (changed) {
+      this.onVisibleModelsChange?.(this.getVisibleModelIds());
+    }
+  }
+
+  /**
+   * IDs of the model cards currently on screen, in catalog order
+   */
+  getVisibleModelIds() {
+    return this.models.map(model => model.id).filter(id => this.visibleModelIds.has(id));
+  }
+
+  /**
+   * Highlight the active quality option
+   * @param {string|null} quality - 'low' | 'medium' | 'high', or null for automatic
+   */
+  setQuality(quality) {
+    const active = quality || 'auto';
+    this.qualitySelector?.querySelectorAll('.quality-option').forEach(option => {
+      option.classList.toggle('active', option.dataset.quality === active);
     });
   }
 
+  /**
+   * Highlight the active scene mode option
+   * @param {boolean} sceneMode - True when selections add to the scene
+   */
+  setSceneMode(sceneMode) {
+    const active = sceneMode ? 'add' : 'replace';
+    this.sceneModeSelector?.querySelectorAll('.quality-option').forEach(option => {
+      option.classList.toggle('active', option.dataset.sceneMode === active);
+    });
+  }
+
+  /**
+   * Show or hide the scene mode options (config.scene.enabled)
+   */
+  setSceneModeAvailable(available) {
+    this.sceneModeSelector?.classList.toggle('hidden', !available);
+  }
+
   /**
    * Create a model card element
    */
   createModelCard(model) {
     const card = document.createElement('div');
-    card.className = 'model-card';
+    card.className = model.local ? 'model-card local' : 'model-card';
     card.dataset.modelId = model.id;
     
     // Create thumbnail
@@ -85,6 +221,13 @@ export class Gallery {
     const info = document.createElement('div');
     info.className = 'model-info';
     
+    if (model.local) {
+      const localBadge = document.createElement('span');
+      localBadge.className = 'local-badge';
+      localBadge.textContent = 'Local';
+      info.appendChild(localBadge);
+    }
+    
     if (model.layers && model.layers.length > 0) {
       const layerBadge = document.createElement('span');
       layerBadge.className = 'layer-badge';
@@ -92,6 +235,11 @@ export class Gallery {
       info.appendChild(layerBadge);
     }
     
+    const size = this.modelSizes.get(model.id);
+    if (size) {
+      info.appendChild(this.createSizeBadge(size.bytes, size.level));
+    }
+    
     // Assemble card
     card.appendChild(thumbnail);
     card.appendChild(name);
@@ -107,6 +255,50 @@ export class Gallery {
     return card;
   }
 
+  /**
+   * Show the download size on a model card
+   * @param {string} modelId - Model ID
+   * @param {number} bytes - Download size in bytes
+   * @param {string} level - 'ok' | 'large' (above recommended) | 'too-large' (above maximum)
+   */
+  setModelSize(modelId, bytes, level = 'ok') {
+    this.modelSizes.set(modelId, { bytes, level });
+    
+    const card = this.modelGrid?.querySelector(`.model-card[data-model-id="${CSS.escape(modelId)}"]`);
+    if (!card) return;
+    
+    let info = card.querySelector('.model-info');
+    if (!info) {
+      info = document.createElement('div');
+      info.className = 'model-info';
+      card.appendChild(info);
+    }
+    info.querySelector('.size-badge')?.remove();
+    info.appendChild(this.createSizeBadge(bytes, level));
+  }
+
+  /**
+   * Remove the download size from a model card (the size shown is outdated)
+   * @param {string} modelId - Model ID
+   */
+  clearModelSize(modelId) {
+    this.modelSizes.delete(modelId);
+    const card = this.modelGrid?.querySelector(`.model-card[data-model-id="${CSS.escape(modelId)}"]`);
+    card?.querySelector('.size-badge')?.remove();
+  }
+
+  /**
+   * Create a size badge element
+   */
+  createSizeBadge(bytes, level) {
+    const badge = document.createElement('span');
+    badge.className = `size-badge ${level !== 'ok' ? level : ''}`.trim();
+    const mb = bytes / (1024 * 1024);
+    badge.textContent = mb >= 10 ? `${Math.round(mb)} MB` : `${mb.toFixed(1)} MB`;
+    if (level === 'too-large') badge.title = 'Too large for this app';
+    return badge;
+  }
+
   /**
    * Get placeholder icon SVG
    */
@@ -187,6 +379,15 @@ export class Gallery {
     this.buildGallery();
   }
 
+  /**
+   * Add a temporary model opened from the device
+   * @param {object} model - Model entry from createLocalModel()
+   */
+  addLocalModel(model) {
+    this.localModels.push(model);
+    this.buildGallery();
+  }
+
   /**
    * Get current selected model ID
    */
@@ -217,6 +418,9 @@ export class Gallery {
     cards?.forEach(card => {
       card.classList.toggle('disabled', !enabled);
     });
+    this.qualitySelector?.classList.toggle('disabled', !enabled);
+    this.sceneModeSelector?.classList.toggle('disabled', !enabled);
+    if (this.openFileBtn) this.openFileBtn.disabled = !enabled;
     
     console.log(`Gallery: ${enabled ? 'enabled' : 'disabled'}`);
   }
@@ -1,6 +1,8 @@
 /**
  * Gesture Handler
- * Manages touch gestures for model manipulation (rotate, scale)
+ * Manages touch gestures for model manipulation (rotate, scale).
+ * Drag-to-move is recognized by ARSession; while it runs, one-finger
+ * rotation is paused (see setDragging).
  */
 
 import { getConfig } from '../config/config.js';
@@ -16,6 +18,10 @@ export class GestureHandler {
     this.initialScale = null;
     this.baseScale = 1;     // Normalized base scale for relative clamping
     this.lastAngle = null;  // For pinch-rotate
+    this.spinAxis = 'y';    // Turn around Y on floors, around the wall normal (local Z) on walls
+    this.initialRotation = null;
+    this.isDragging = false;
+    this.touchStartRotation = null; // Rotation when the current finger went down
     
     // Gesture configuration (reads from dynamically loaded config)
     this.config = getConfig().gestures;
@@ -47,6 +53,11 @@ export class GestureHandler {
     // Store base scale for relative clamping (uniform, use x component)
     this.baseScale = scale.x;
     
+    // Wall-mounted models must stay flat against the wall
+    this.spinAxis = modelEntity.dataset.surface === 'wall' ? 'z' : 'y';
+    const rotation = this.model.getAttribute('rotation');
+    this.initialRotation = { x: rotation.x, y: rotation.y, z: rotation.z };
+    
     // Add touch event listeners
     document.addEventListener('touchstart', this.onTouchStart, { passive: false });
     document.addEventListener('touchmove', this.onTouchMove, { passive: false });
@@ -66,6 +77,7 @@ export class GestureHandler {
     this.model = null;
     this.isRotating = false;
     this.isScaling = false;
+    this.isDragging = false;
     
     console.log('Gesture handler detached');
   }
@@ -87,6 +99,8 @@ export class GestureHandler {
     
     if (touches.length === 1) {
       // Single touch - start rotation
+      const rotation = this.model.getAttribute('rotation');
+      this.touchStartRotation = { x: rotation.x, y: rotation.y, z: rotation.z };
       if (this.config.rotation.enabled) {
         this.isRotating = true;
         this.lastTouchX = touches[0].clientX;
@@ -121,7 +135,7 @@ export class GestureHandler {
     
     const touches = event.touches;
     
-    if (this.isRotating && touches.length === 1) {
+    if (this.isRotating && !this.isDragging && touches.length === 1) {
       // Rotate model (single finger drag)
       this.handleRotation(touches[0]);
     } else if (touches.length === 2) {
@@ -160,6 +174,19 @@ export class GestureHandler {
     }
   }
 
+  /**
+   * Pause one-finger rotation while the model is dragged. The finger may
+   * already have turned the model before the drag was recognized; that
+   * turn is undone.
+   * @param {boolean} active
+   */
+  setDragging(active) {
+    this.isDragging = !!active;
+    if (this.isDragging && this.model && this.touchStartRotation) {
+      this.model.setAttribute('rotation', this.touchStartRotation);
+    }
+  }
+
   /**
    * Handle rotation gesture
    */
@@ -175,11 +202,13 @@ export class GestureHandler {
     
     if (this.config.rotation.axis === 'y') {
       // Rotate around Y axis only
-      rotation.y += deltaX * rotationSpeed;
+      rotation[this.spinAxis] += deltaX * rotationSpeed;
     } else if (this.config.rotation.axis === 'xy') {
       // Rotate around both X and Y
-      rotation.y += deltaX * rotationSpeed;
-      rotation.x -= deltaY * rotationSpeed;
+      rotation[this.spinAxis] += deltaX * rotationSpeed;
+      if (this.spinAxis === 'y') {
+        rotation.x -= deltaY * rotationSpeed;
+      }
     }
     
     // Apply rotation
@@ -251,10 +280,10 @@ export class GestureHandler {
     if (deltaAngle > 180) deltaAngle -= 360;
     if (deltaAngle < -180) deltaAngle += 360;
     
-    // Apply rotation around Y axis
+    // Apply rotation around Y axis (the wall normal for wall-mounted models)
     const rotationSpeed = this.config.pinchRotate?.speed || 1.0;
     const rotation = this.model.getAttribute('rotation');
-    rotation.y -= deltaAngle * rotationSpeed;
+    rotation[this.spinAxis] -= deltaAngle * rotationSpeed;
     
     this.model.setAttribute('rotation', rotation);
     this.lastAngle = currentAngle;
@@ -314,11 +343,11 @@ export class GestureHandler {
   }
 
   /**
-   * Reset model rotation
+   * Reset model rotation (wall-mounted models keep facing away from the wall)
    */
   resetRotation() {
     if (this.model) {
-      this.model.setAttribute('rotation', '0 0 0');
+      this.model.setAttribute('rotation', this.spinAxis === 'z' ? { ...this.initialRotation, z: 0 } : '0 0 0');
     }
   }
 }
@@ -0,0 +1,77 @@
+/**
+ * glTF Inspector
+ * Reads the JSON document of a GLB/glTF blob without parsing geometry, so the
+ * app can report which extensions (compression, materials, ...) a model uses
+ * before A-Frame hands it to THREE.GLTFLoader.
+ */
+
+const GLB_MAGIC = 0x46546C67;      // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+
+// Extensions THREE.GLTFLoader can handle with the decoders configured on <a-scene>
+export const SUPPORTED_EXTENSIONS = new Set([
+  'KHR_draco_mesh_compression',
+  'EXT_meshopt_compression',
+  'KHR_meshopt_compression',
+  'KHR_texture_basisu',
+  'KHR_mesh_quantization',
+  'KHR_texture_transform',
+  'KHR_lights_punctual',
+  'KHR_materials_unlit',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_clearcoat',
+  'KHR_materials_ior',
+  'KHR_materials_sheen',
+  'KHR_materials_specular',
+  'KHR_materials_transmission',
+  'KHR_materials_iridescence',
+  'KHR_materials_anisotropy',
+  'KHR_materials_volume',
+  'EXT_texture_webp',
+  'EXT_texture_avif',
+  'EXT_mesh_gpu_instancing'
+]);
+
+// Extensions that mean the file is compressed and needs a decoder
+const COMPRESSION_EXTENSIONS = {
+  KHR_draco_mesh_compression: 'draco',
+  EXT_meshopt_compression: 'meshopt',
+  KHR_meshopt_compression: 'meshopt',
+  KHR_texture_basisu: 'ktx2'
+};
+
+/**
+ * Read the glTF JSON document from a .glb or .gltf blob
+ * @param {Blob} blob - Model data
+ * @returns {Promise<object|null>} Parsed glTF JSON, or null if the blob is neither
+ */
+export async function readGltfJson(blob) {
+  const header = new DataView(await blob.slice(0, 20).arrayBuffer());
+
+  if (header.byteLength >= 20 && header.getUint32(0, true) === GLB_MAGIC) {
+    const chunkLength = header.getUint32(12, true);
+    const chunkType = header.getUint32(16, true);
+    if (chunkType !== GLB_CHUNK_JSON) return null;
+    const text = await blob.slice(20, 20 + chunkLength).text();
+    return JSON.parse(text);
+  }
+
+  // Plain .gltf (JSON) - skip anything that is clearly not a JSON object
+  const text = await blob.text();
+  if (!text.trimStart().startsWith('{')) return null;
+  return JSON.parse(text);
+}
+
+/**
+ * Summarize the extensions a glTF document declares
+ * @param {object} json - glTF JSON document
+ * @returns {{used: string[], required: string[], compression: string[], unsupported: string[]}}
+ */
+export function getGltfExtensions(json) {
+  const used = json?.extensionsUsed || [];
+  const required = json?.extensionsRequired || [];
+  const compression = [...new Set(used.map(name => COMPRESSION_EXTENSIONS[name]).filter(Boolean))];
+  const unsupported = used.filter(name => !SUPPORTED_EXTENSIONS.has(name));
+
+  return { used, required, compression, unsupported };
+}
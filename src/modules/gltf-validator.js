@@ -0,0 +1,249 @@
+/**
+ * glTF Validator
+ * Builds a report of problems a content team can act on: structural errors in
+ * the glTF document (broken references, missing images, unresolvable external
+ * files, unsupported extensions) checked right after download, plus what the
+ * parsed scene reveals (triangle and draw-call counts, oversized or
+ * non-power-of-two textures, mirrored nodes, suspicious units).
+ */
+
+import { getGltfExtensions } from './gltf-inspector.js';
+
+// Above these the model is likely to stutter on mid-range phones
+const MAX_TRIANGLES = 500000;
+const MAX_DRAW_CALLS = 100;
+
+// Native size (largest dimension, glTF units = meters) outside this range
+// usually means the model was exported in the wrong unit
+const MIN_PLAUSIBLE_SIZE = 0.05;
+const MAX_PLAUSIBLE_SIZE = 50;
+
+const PBR_TEXTURE_SLOTS = ['baseColorTexture', 'metallicRoughnessTexture'];
+const MATERIAL_TEXTURE_SLOTS = ['normalTexture', 'occlusionTexture', 'emissiveTexture'];
+
+/**
+ * Check a glTF JSON document for structural problems
+ * @param {object} json - glTF JSON (see readGltfJson)
+ * @returns {Array<{level: string, message: string}>} Issues ('error' | 'warning' | 'info')
+ */
+export function validateGltfDocument(json) {
+  const issues = [];
+  const error = message => issues.push({ level: 'error', message });
+  const warning = message => issues.push({ level: 'warning', message });
+
+  const version = String(json.asset?.version || '');
+  if (!version.startsWith('2.')) {
+    error(`Unsupported glTF version "${version || 'missing'}" (2.0 required)`);
+  }
+
+  const count = name => (json[name] || []).length;
+  const checkRef = (index, collection, where) => {
+    if (index == null) return true;
+    if (!Number.isInteger(index) || index < 0 || index >= count(collection)) {
+      error(`${where} points to ${collection}[${index}], which does not exist`);
+      return false;
+    }
+    return true;
+  };
+
+  // Scenes and node hierarchy
+  if (count('scenes') === 0 || count('nodes') === 0) {
+    error('The file contains no scene or no nodes - nothing will be shown');
+  }
+  checkRef(json.scene, 'scenes', 'Default scene');
+  (json.scenes || []).forEach((scene, i) => {
+    (scene.nodes || []).forEach(node => checkRef(node, 'nodes', `scenes[${i}]`));
+  });
+  (json.nodes || []).forEach((node, i) => {
+    checkRef(node.mesh, 'meshes', `nodes[${i}].mesh`);
+    checkRef(node.skin, 'skins', `nodes[${i}].skin`);
+    (node.children || []).forEach(child => checkRef(child, 'nodes', `nodes[${i}].children`));
+  });
+
+  // Geometry
+  let primitivesWithoutNormals = 0;
+  const unlit = new Set((json.materials || [])
+    .map((material, i) => (material.extensions?.KHR_materials_unlit ? i : -1))
+    .filter(i => i >= 0));
+  (json.meshes || []).forEach((mesh, i) => {
+    (mesh.primitives || []).forEach((primitive, p) => {
+      const where = `meshes[${i}].primitives[${p}]`;
+      if (primitive.attributes?.POSITION == null) {
+        error(`${where} has no POSITION attribute`);
+      }
+      Object.entries(primitive.attributes || {}).forEach(([name, accessor]) =>
+        checkRef(accessor, 'accessors', `${where}.attributes.${name}`));
+      checkRef(primitive.indices, 'accessors', `${where}.indices`);
+      checkRef(primitive.material, 'materials', `${where}.material`);
+
+      const triangles = primitive.mode == null || primitive.mode === 4;
+      const compressed = primitive.extensions?.KHR_draco_mesh_compression;
+      if (triangles && !compressed && primitive.attributes?.NORMAL == null && !unlit.has(primitive.material)) {
+        primitivesWithoutNormals++;
+      }
+    });
+  });
+  if (primitivesWithoutNormals > 0) {
+    warning(`${primitivesWithoutNormals} mesh primitive(s) have no normals - lighting will look flat or wrong`);
+  }
+
+  (json.accessors || []).forEach((accessor, i) =>
+    checkRef(accessor.bufferView, 'bufferViews', `accessors[${i}].bufferView`));
+  (json.bufferViews || []).forEach((view, i) => {
+    if (!checkRef(view.buffer, 'buffers', `bufferViews[${i}].buffer`)) return;
+    const buffer = json.buffers[view.buffer];
+    if ((view.byteOffset || 0) + view.byteLength > buffer.byteLength) {
+      error(`bufferViews[${i}] reads past the end of buffers[${view.buffer}]`);
+    }
+  });
+
+  // Materials and textures
+  (json.materials || []).forEach((material, i) => {
+    const refs = [
+      ...PBR_TEXTURE_SLOTS.map(slot => [slot, material.pbrMetallicRoughness?.[slot]]),
+      ...MATERIAL_TEXTURE_SLOTS.map(slot => [slot, material[slot]])
+    ];
+    refs.forEach(([slot, ref]) => {
+      if (ref) checkRef(ref.index, 'textures', `materials[${i}].${slot}`);
+    });
+  });
+  (json.textures || []).forEach((texture, i) => {
+    const sources = [texture.source, ...Object.values(texture.extensions || {}).map(ext => ext?.source)]
+      .filter(source => source != null);
+    if (sources.length === 0) {
+      warning(`textures[${i}] has no image - the material will render untextured`);
+    }
+    sources.forEach(source => checkRef(source, 'images', `textures[${i}]`));
+  });
+  (json.images || []).forEach((image, i) => {
+    const name = image.name || image.uri || `images[${i}]`;
+    if (image.uri == null && image.bufferView == null) {
+      error(`Image "${name}" has neither data nor a URI - texture is missing`);
+    }
+    checkRef(image.bufferView, 'bufferViews', `images[${i}].bufferView`);
+  });
+
+  // External files cannot be resolved: models are loaded from a blob URL
+  const external = [...(json.buffers || []), ...(json.images || [])]
+    .map(resource => resource.uri)
+    .filter(uri => uri && !/^(data|blob):/i.test(uri));
+  if (external.length > 0) {
+    error(`References external files that will not load: ${external.join(', ')} - embed them or export a .glb`);
+  }
+
+  // Extensions
+  const extensions = getGltfExtensions(json);
+  extensions.unsupported.forEach(name => {
+    if (extensions.required.includes(name)) {
+      error(`Requires unsupported extension ${name} - the model cannot be displayed`);
+    } else {
+      warning(`Uses unsupported extension ${name} - it will be ignored`);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Analyze a parsed model and combine it with the document issues
+ * @param {object} options
+ * @param {THREE.Object3D} options.object3D - Parsed model (entity mesh)
+ * @param {Array} options.documentIssues - From validateGltfDocument (empty if unavailable)
+ * @param {THREE.Vector3|null} options.rawSize - Bounding box size before scale normalization
+ * @param {number} options.maxTextureSize - performance.maxTextureSize
+ * @returns {{issues: Array<{level: string, message: string}>, stats: object,
+ *   counts: {errors: number, warnings: number}}}
+ */
+export function createValidationReport({ object3D, documentIssues = [], rawSize = null, maxTextureSize = 2048 }) {
+  const issues = [...documentIssues];
+  const stats = { triangles: 0, vertices: 0, drawCalls: 0, meshes: 0, materials: 0, textures: 0 };
+  const materials = new Set();
+  const textures = new Map(); // texture -> slot name
+  let mirrored = 0;
+
+  object3D.updateWorldMatrix(true, true);
+  object3D.traverse(node => {
+    if (!node.isMesh || !node.geometry) return;
+
+    stats.meshes++;
+    const geometry = node.geometry;
+    const vertexCount = geometry.attributes.position?.count || 0;
+    stats.vertices += vertexCount;
+    stats.triangles += Math.floor((geometry.index ? geometry.index.count : vertexCount) / 3);
+
+    const nodeMaterials = Array.isArray(node.material) ? node.material : [node.material];
+    stats.drawCalls += Array.isArray(node.material) ? Math.max(geometry.groups.length, 1) : 1;
+    nodeMaterials.filter(Boolean).forEach(material => {
+      materials.add(material);
+      Object.entries(material).forEach(([slot, value]) => {
+        if (value?.isTexture && !textures.has(value)) textures.set(value, slot);
+      });
+    });
+
+    if (node.matrixWorld.determinant() < 0) mirrored++;
+  });
+  stats.materials = materials.size;
+  stats.textures = textures.size;
+
+  // Textures
+  let missingImages = 0;
+  for (const [texture, slot] of textures) {
+    const image = texture.image;
+    const label = texture.name || slot;
+    if (!image || (!image.width && !texture.isCompressedTexture)) {
+      missingImages++;
+      continue;
+    }
+    const { width, height } = image;
+    if (Math.max(width, height) > maxTextureSize) {
+      issues.push({ level: 'warning', message: `Texture "${label}" is ${width}×${height}, above maxTextureSize (${maxTextureSize})` });
+    }
+    if (!isPowerOfTwo(width) || !isPowerOfTwo(height)) {
+      issues.push({ level: 'info', message: `Texture "${label}" is ${width}×${height} (not a power of two)` });
+    }
+  }
+  if (missingImages > 0) {
+    issues.push({ level: 'error', message: `${missingImages} texture(s) have no image data - they failed to load` });
+  }
+
+  // Rendering cost
+  if (stats.triangles > MAX_TRIANGLES) {
+    issues.push({ level: 'warning', message: `${stats.triangles.toLocaleString()} triangles - consider simplifying (target < ${MAX_TRIANGLES.toLocaleString()})` });
+  }
+  if (stats.drawCalls > MAX_DRAW_CALLS) {
+    issues.push({ level: 'warning', message: `${stats.drawCalls} draw calls - merge meshes or materials (target < ${MAX_DRAW_CALLS})` });
+  }
+  if (mirrored > 0) {
+    issues.push({ level: 'warning', message: `${mirrored} mesh(es) have a negative scale - faces may appear inside out` });
+  }
+
+  // Units
+  if (rawSize) {
+    stats.size = { x: round(rawSize.x), y: round(rawSize.y), z: round(rawSize.z) };
+    const largest = Math.max(rawSize.x, rawSize.y, rawSize.z);
+    if (largest === 0) {
+      issues.push({ level: 'error', message: 'Model has no visible geometry (empty bounding box)' });
+    } else if (largest > MAX_PLAUSIBLE_SIZE) {
+      issues.push({ level: 'warning', message: `Model is ${round(largest)} units across - probably exported in centimeters or millimeters instead of meters` });
+    } else if (largest < MIN_PLAUSIBLE_SIZE) {
+      issues.push({ level: 'warning', message: `Model is only ${round(largest)} units across - check the export unit` });
+    }
+  }
+
+  return {
+    issues,
+    stats,
+    counts: {
+      errors: issues.filter(issue => issue.level === 'error').length,
+      warnings: issues.filter(issue => issue.level === 'warning').length
+    }
+  };
+}
+
+function isPowerOfTwo(value) {
+  return value > 0 && (value & (value - 1)) === 0;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
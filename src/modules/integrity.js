@@ -0,0 +1,103 @@
+/**
+ * Integrity
+ * Verifies downloaded files before they are cached or handed to A-Frame:
+ * magic-byte sniffing (an HTML error page served with HTTP 200 is caught
+ * here instead of failing as an opaque parse error), the total length GLB
+ * files declare in their header (catches truncated downloads), plus optional
+ * exact size and SHA-256 checks from the config.
+ */
+
+export const MODEL_FORMATS = ['glb', 'gltf'];
+export const IMAGE_FORMATS = ['png', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'ktx2'];
+
+/**
+ * Identify a file from its first bytes
+ * @param {Blob} blob - Downloaded data
+ * @returns {Promise<string>} 'glb' | 'gltf' | 'png' | 'jpeg' | 'gif' | 'webp' | 'avif' |
+ *   'svg' | 'ktx2' | 'html' | 'empty' | 'unknown'
+ */
+export async function sniffFormat(blob) {
+  if (blob.size === 0) return 'empty';
+
+  const bytes = new Uint8Array(await blob.slice(0, 64).arrayBuffer());
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+
+  if (ascii(0, 4) === 'glTF') return 'glb';
+  if (startsWith(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)) return 'png';
+  if (startsWith(0xFF, 0xD8, 0xFF)) return 'jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return 'avif';
+  if (startsWith(0xAB, 0x4B, 0x54, 0x58, 0x20, 0x32, 0x30, 0xBB)) return 'ktx2';
+
+  // Text formats (TextDecoder drops a UTF-8 BOM)
+  const text = new TextDecoder().decode(bytes).trimStart().toLowerCase();
+  if (text.startsWith('{')) return 'gltf';
+  if (text.startsWith('<!doctype html') || text.startsWith('<html') || text.startsWith('<head')) return 'html';
+  if (text.startsWith('<svg') || text.startsWith('<?xml')) return 'svg';
+
+  return 'unknown';
+}
+
+/**
+ * Total file length declared in a GLB header (uint32 LE at byte 8)
+ * @param {Blob} blob - GLB data
+ * @returns {Promise<number|null>} Null when the header itself is cut off
+ */
+async function readGlbLength(blob) {
+  if (blob.size < 12) return null;
+  const header = new DataView(await blob.slice(0, 12).arrayBuffer());
+  return header.getUint32(8, true);
+}
+
+/**
+ * SHA-256 of a blob as lowercase hex (null where SubtleCrypto is unavailable,
+ * i.e. outside a secure context)
+ * @param {Blob} blob - Data to hash
+ * @returns {Promise<string|null>}
+ */
+export async function sha256Hex(blob) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a downloaded blob against its expected format, size and hash
+ * @param {Blob} blob - Downloaded data
+ * @param {object} expected
+ * @param {string[]} expected.formats - Acceptable sniffed formats
+ * @param {number} expected.sizeBytes - Exact size in bytes (optional)
+ * @param {string} expected.sha256 - Lowercase hex SHA-256 (optional)
+ * @returns {Promise<{valid: boolean, format: string, errors: string[], sha256: string|null}>}
+ */
+export async function verifyBlob(blob, { formats, sizeBytes = null, sha256 = null }) {
+  const errors = [];
+
+  const format = await sniffFormat(blob);
+  if (!formats.includes(format)) {
+    errors.push(format === 'html'
+      ? 'Server returned an HTML page instead of the file'
+      : `Unexpected file type "${format}" (expected ${formats.join('/')})`);
+  }
+
+  if (format === 'glb') {
+    const declared = await readGlbLength(blob);
+    if (declared !== blob.size) {
+      errors.push(`GLB header declares ${declared ?? 'no'} bytes, got ${blob.size}${declared > blob.size ? ' (truncated download)' : ''}`);
+    }
+  }
+
+  if (sizeBytes != null && blob.size !== sizeBytes) {
+    errors.push(`Size mismatch: got ${blob.size} bytes, expected ${sizeBytes}${blob.size < sizeBytes ? ' (truncated download?)' : ''}`);
+  }
+
+  // Without SubtleCrypto the hash check is skipped rather than failed
+  const actualHash = sha256 ? await sha256Hex(blob) : null;
+  if (actualHash && actualHash !== sha256) {
+    errors.push(`SHA-256 mismatch: got ${actualHash}, expected ${sha256}`);
+  }
+
+  return { valid: errors.length === 0, format, errors, sha256: actualHash };
+}
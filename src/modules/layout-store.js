@@ -0,0 +1,57 @@
+/**
+ * Layout Store
+ * Remembers the last arrangement on this device - which model was placed, its
+ * rotation, scale and layer visibility, and the persistent anchor handle when
+ * the browser provides one - so the next AR session can restore it.
+ * Positions are not stored: they only mean something relative to the anchor
+ * (or to the reticle when the layout is placed again).
+ */
+
+const LAYOUT_KEY = 'webar:last-layout';
+
+// Layouts are stored with a version so older formats can be ignored
+const LAYOUT_VERSION = 1;
+
+/**
+ * Store the current layout
+ * @param {object} layout
+ * @param {string} layout.modelId - Placed model
+ * @param {{x: number, y: number, z: number}} layout.rotation - Rotation in degrees
+ * @param {{x: number, y: number, z: number}} layout.scale - Entity scale
+ * @param {Object<string, boolean>} layout.layers - Layer node name -> visible
+ * @param {object|null} layout.footprint - Floor footprint for the overhang
+ *   check before the model is placed again (see ARSession.getPlacementFootprint)
+ * @param {string|null} layout.anchorHandle - Persistent anchor handle (if any)
+ */
+export function saveLayout(layout) {
+  try {
+    localStorage.setItem(LAYOUT_KEY, JSON.stringify({
+      version: LAYOUT_VERSION,
+      savedAt: new Date().toISOString(),
+      ...layout
+    }));
+  } catch (_) { /* ignore - storage full or unavailable */ }
+}
+
+/**
+ * Read the last saved layout
+ * @returns {object|null} Layout (see saveLayout) with `savedAt`, or null
+ */
+export function loadLayout() {
+  try {
+    const layout = JSON.parse(localStorage.getItem(LAYOUT_KEY));
+    if (layout?.version !== LAYOUT_VERSION || typeof layout.modelId !== 'string') return null;
+    return layout;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Forget the saved layout
+ */
+export function clearLayout() {
+  try {
+    localStorage.removeItem(LAYOUT_KEY);
+  } catch (_) { /* ignore */ }
+}
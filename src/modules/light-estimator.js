@@ -0,0 +1,283 @@
+/**
+ * Light Estimator
+ * Drives the scene lighting from WebXR light estimation: the main
+ * directional light follows the estimated primary light, spherical harmonics
+ * replace the static ambient lights and the reflection cube map becomes the
+ * scene environment. Changes are interpolated so lighting never pops. Without
+ * an estimate (unsupported, disabled, not yet available) the static light rig
+ * from index.html is used.
+ */
+
+import { getLogger } from './logger.js';
+
+// Time constant (ms) of the exponential smoothing towards the latest estimate
+const SMOOTHING_TIME = 400;
+
+// Static lights fade out over this time (ms) once estimates arrive, and back in when they stop
+const BLEND_TIME = 800;
+
+// Estimates older than this (ms) count as lost
+const ESTIMATE_TIMEOUT = 1000;
+
+// Distance of the main light from the origin along the estimated direction
+const LIGHT_DISTANCE = 2;
+
+export class LightEstimator {
+  /**
+   * @param {Element} scene - A-Frame scene
+   * @param {object} options
+   * @param {boolean} options.enabled - config.ar.lightEstimation
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.enabled = options.enabled !== false;
+    this.logger = getLogger();
+
+    this.session = null;
+    this.probe = null;
+    this.glBinding = null;
+    this.cubeRenderTarget = null;
+    this.previousEnvironment = null;
+
+    // Static rig: [{ light, intensity }] captured on start
+    this.staticLights = [];
+    this.mainLight = null;
+    this.mainLightObject = null; // Entity object3D - its position sets the light direction
+    this.mainLightDefaults = null;
+    this.lightProbe = null;
+
+    // 0 = static rig, 1 = fully estimated
+    this.blend = 0;
+    this.lastEstimateTime = 0;
+    this._lastUpdateTime = 0;
+
+    // Smoothed estimate
+    this.target = {
+      sh: new THREE.SphericalHarmonics3(),
+      color: new THREE.Color(1, 1, 1),
+      intensity: 1,
+      direction: new THREE.Vector3(0, 1, 0)
+    };
+    this.current = {
+      sh: new THREE.SphericalHarmonics3(),
+      color: new THREE.Color(1, 1, 1),
+      intensity: 1,
+      direction: new THREE.Vector3(0, 1, 0)
+    };
+    this._tmpQuat = new THREE.Quaternion();
+    this._tmpVec = new THREE.Vector3();
+
+    this.onReflectionChange = this.onReflectionChange.bind(this);
+  }
+
+  /**
+   * Request a light probe for a new AR session
+   * @param {XRSession} session
+   * @returns {Promise<boolean>} True when light estimation is active
+   */
+  async start(session) {
+    this.session = session;
+    if (!this.enabled) {
+      this.logger.info('LIGHT_ESTIMATION', 'Disabled in config - using static lights');
+      return false;
+    }
+    if (typeof session.requestLightProbe !== 'function') {
+      this.logger.info('LIGHT_ESTIMATION', 'Not supported - using static lights');
+      return false;
+    }
+
+    this._captureStaticRig();
+
+    try {
+      this.probe = await session.requestLightProbe({
+        reflectionFormat: session.preferredReflectionFormat || 'srgba8'
+      });
+    } catch (error) {
+      this.probe = null;
+      this.logger.warning('LIGHT_ESTIMATION', 'Light probe unavailable - using static lights', {
+        error: error.message
+      });
+      return false;
+    }
+    if (this.session !== session) return false; // ended while waiting
+
+    this._setupReflections(session);
+    this.logger.success('LIGHT_ESTIMATION', 'Light probe created', {
+      reflections: !!this.glBinding
+    });
+    return true;
+  }
+
+  /**
+   * Apply the latest estimate (call once per XR frame)
+   * @param {XRFrame} frame
+   * @param {XRReferenceSpace} referenceSpace - Space the scene is rendered in
+   * @param {number} time - Frame timestamp (ms)
+   */
+  update(frame, referenceSpace, time) {
+    if (!this.probe) return;
+
+    const delta = this._lastUpdateTime ? Math.min(time - this._lastUpdateTime, 100) : 0;
+    this._lastUpdateTime = time;
+
+    const estimate = frame.getLightEstimate?.(this.probe);
+    if (estimate) {
+      this._setTarget(estimate, frame, referenceSpace);
+      if (!this.lastEstimateTime) {
+        this.logger.info('LIGHT_ESTIMATION', 'First light estimate received');
+      }
+      this.lastEstimateTime = time;
+    }
+
+    // Fade between the static rig and the estimate
+    const live = this.lastEstimateTime && time - this.lastEstimateTime < ESTIMATE_TIMEOUT;
+    const step = delta / BLEND_TIME;
+    this.blend = live ? Math.min(1, this.blend + step) : Math.max(0, this.blend - step);
+
+    // Ease the current values towards the target
+    const alpha = 1 - Math.exp(-delta / SMOOTHING_TIME);
+    const { current, target } = this;
+    current.sh.lerp(target.sh, alpha);
+    current.color.lerp(target.color, alpha);
+    current.intensity += (target.intensity - current.intensity) * alpha;
+    current.direction.lerp(target.direction, alpha).normalize();
+
+    this._apply();
+  }
+
+  /**
+   * Release the probe and restore the static rig
+   */
+  stop() {
+    this.probe?.removeEventListener('reflectionchange', this.onReflectionChange);
+
+    if (this.lightProbe) {
+      this.blend = 0;
+      this._apply();
+      this.lightProbe.parent?.remove(this.lightProbe);
+      this.lightProbe = null;
+    }
+    if (this.cubeRenderTarget) {
+      // The GL texture belongs to the XR session - detach it before disposing
+      this.scene.renderer.properties.remove(this.cubeRenderTarget.texture);
+      this.cubeRenderTarget.dispose();
+      this.scene.object3D.environment = this.previousEnvironment;
+      this.cubeRenderTarget = null;
+    }
+
+    if (this.probe) {
+      this.logger.info('LIGHT_ESTIMATION', 'Light estimation stopped - static lights restored');
+    }
+    this.session = null;
+    this.probe = null;
+    this.glBinding = null;
+    this.lastEstimateTime = 0;
+    this._lastUpdateTime = 0;
+    this.staticLights = [];
+  }
+
+  /**
+   * Internal: a new reflection cube map is available
+   */
+  onReflectionChange() {
+    if (!this.glBinding || !this.probe || !this.cubeRenderTarget) return;
+
+    const cubeMap = this.glBinding.getReflectionCubeMap(this.probe);
+    if (!cubeMap) return;
+
+    // Point the render target's texture at the session's cube map
+    const properties = this.scene.renderer.properties.get(this.cubeRenderTarget.texture);
+    properties.__webglTexture = cubeMap;
+    properties.__version = 1;
+    this.scene.object3D.environment = this.cubeRenderTarget.texture;
+  }
+
+  _captureStaticRig() {
+    this.staticLights = [];
+    this.scene.querySelectorAll('a-light').forEach(el => {
+      const light = el.getObject3D('light');
+      if (!light) return;
+      if (el.id === 'main-light') {
+        this.mainLight = light;
+        this.mainLightObject = el.object3D;
+        this.mainLightDefaults = {
+          color: light.color.clone(),
+          position: el.object3D.position.clone(),
+          intensity: light.intensity
+        };
+      } else {
+        this.staticLights.push({ light, intensity: light.intensity });
+      }
+    });
+
+    if (this.mainLight) {
+      this.current.color.copy(this.mainLight.color);
+      this.current.intensity = this.mainLight.intensity;
+      this.current.direction.copy(this.mainLightObject.position).normalize();
+    }
+
+    this.lightProbe = new THREE.LightProbe();
+    this.lightProbe.intensity = 0;
+    this.scene.object3D.add(this.lightProbe);
+  }
+
+  _setupReflections(session) {
+    if (typeof XRWebGLBinding === 'undefined') return;
+
+    const gl = this.scene.renderer.getContext();
+    // Extensions needed for the session's cube map format
+    if (session.preferredReflectionFormat === 'rgba16f') {
+      gl.getExtension('OES_texture_half_float');
+    } else {
+      gl.getExtension('EXT_sRGB');
+    }
+
+    try {
+      this.glBinding = new XRWebGLBinding(session, gl);
+    } catch (error) {
+      this.logger.warning('LIGHT_ESTIMATION', 'Reflections unavailable', { error: error.message });
+      return;
+    }
+    this.cubeRenderTarget = new THREE.WebGLCubeRenderTarget(16);
+    this.previousEnvironment = this.scene.object3D.environment;
+    this.probe.addEventListener('reflectionchange', this.onReflectionChange);
+  }
+
+  _setTarget(estimate, frame, referenceSpace) {
+    this.target.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+
+    const rgb = estimate.primaryLightIntensity;
+    const intensity = Math.max(1, rgb.x, rgb.y, rgb.z);
+    this.target.color.setRGB(rgb.x / intensity, rgb.y / intensity, rgb.z / intensity);
+    this.target.intensity = intensity;
+
+    // The direction points towards the light, in the probe's space
+    const d = estimate.primaryLightDirection;
+    this.target.direction.set(d.x, d.y, d.z);
+    const probePose = frame.getPose(this.probe.probeSpace, referenceSpace);
+    if (probePose) {
+      const o = probePose.transform.orientation;
+      this.target.direction.applyQuaternion(this._tmpQuat.set(o.x, o.y, o.z, o.w));
+    }
+    this.target.direction.normalize();
+  }
+
+  _apply() {
+    const blend = this.blend;
+
+    this.staticLights.forEach(({ light, intensity }) => {
+      light.intensity = intensity * (1 - blend);
+    });
+    if (this.lightProbe) {
+      this.lightProbe.sh.copy(this.current.sh);
+      this.lightProbe.intensity = blend;
+    }
+    if (this.mainLight && this.mainLightDefaults) {
+      const defaults = this.mainLightDefaults;
+      this.mainLight.intensity = defaults.intensity + (this.current.intensity - defaults.intensity) * blend;
+      this.mainLight.color.copy(defaults.color).lerp(this.current.color, blend);
+      this._tmpVec.copy(this.current.direction).multiplyScalar(LIGHT_DISTANCE);
+      this.mainLightObject.position.copy(defaults.position).lerp(this._tmpVec, blend);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Local Model
+ * Turns files picked from the device (or dropped on the gallery) into a
+ * temporary model entry, so a GLB/glTF can be checked in AR before it is
+ * uploaded. A .gltf may come with its .bin and texture files; their relative
+ * URIs are rewritten to blob URLs. Nothing touches the network.
+ */
+
+import { verifyBlob, MODEL_FORMATS } from './integrity.js';
+
+let localModelCount = 0;
+
+/**
+ * Build a model entry from picked files
+ * @param {FileList|File[]} fileList - One .glb, or one .gltf plus its resources
+ * @returns {Promise<{config: object, blob: Blob}>} Model entry (`local: true`,
+ *   `url` is a blob URL kept for the rest of the session) and the model data
+ * @throws {Error} code LOCAL_FILE_INVALID when no usable model is among the files
+ */
+export async function createLocalModel(fileList) {
+  const files = [...fileList];
+  const modelFile = files.find(file => /\.glb$/i.test(file.name))
+    || files.find(file => /\.gltf$/i.test(file.name));
+  if (!modelFile) {
+    throw invalidFile('Pick a .glb file, or a .gltf file together with its .bin and texture files');
+  }
+
+  const check = await verifyBlob(modelFile, { formats: MODEL_FORMATS });
+  if (!check.valid) {
+    throw invalidFile(`${modelFile.name} is not a valid model: ${check.errors[0]}`);
+  }
+
+  const objectUrls = [];
+  let blob = modelFile;
+  if (check.format === 'gltf') {
+    blob = await bundleGltf(modelFile, files, objectUrls);
+  }
+
+  const url = URL.createObjectURL(blob);
+
+  localModelCount++;
+  return {
+    config: {
+      id: `local-${localModelCount}`,
+      name: modelFile.name.replace(/\.(glb|gltf)$/i, ''),
+      url,
+      local: true,
+      fileName: modelFile.name
+    },
+    blob
+  };
+}
+
+/**
+ * Internal: point the external buffers and images of a .gltf at blob URLs of
+ * the picked files (matched by file name)
+ * @returns {Promise<Blob>} Rewritten .gltf JSON
+ */
+async function bundleGltf(gltfFile, files, objectUrls) {
+  let json;
+  try {
+    json = JSON.parse(await gltfFile.text());
+  } catch (error) {
+    throw invalidFile(`${gltfFile.name} is not valid JSON: ${error.message}`);
+  }
+
+  const byName = new Map(files.map(file => [file.name.toLowerCase(), file]));
+  const missing = [];
+
+  for (const resource of [...(json.buffers || []), ...(json.images || [])]) {
+    if (!resource.uri || /^(data|blob|https?):/i.test(resource.uri)) continue;
+
+    const fileName = decodeURIComponent(resource.uri).split(/[\\/]/).pop().toLowerCase();
+    const file = byName.get(fileName);
+    if (!file) {
+      missing.push(resource.uri);
+      continue;
+    }
+    const objectUrl = URL.createObjectURL(file);
+    objectUrls.push(objectUrl);
+    resource.uri = objectUrl;
+  }
+
+  if (missing.length > 0) {
+    objectUrls.forEach(objectUrl => URL.revokeObjectURL(objectUrl));
+    throw invalidFile(`Missing files referenced by ${gltfFile.name}: ${missing.join(', ')}`);
+  }
+
+  return new Blob([JSON.stringify(json)], { type: 'model/gltf+json' });
+}
+
+function invalidFile(message) {
+  return Object.assign(new Error(message), { code: 'LOCAL_FILE_INVALID' });
+}
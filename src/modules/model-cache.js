@@ -0,0 +1,270 @@
+/**
+ * Model Cache
+ * Persistent on-device storage for downloaded model files.
+ * Blobs live in Cache Storage; a small LRU index (URL, version/ETag, size,
+ * last access) is kept in localStorage so the byte budget can be enforced
+ * without reading every cached response.
+ */
+
+import { getLogger } from './logger.js';
+
+const CACHE_NAME = 'webar-models-v1';
+const INDEX_KEY = 'webar:model-cache-index';
+
+export class ModelCache {
+  /**
+   * @param {object} options
+   * @param {boolean} options.enabled - Disable to fall back to in-memory caching only
+   * @param {number} options.maxSizeMB - Byte budget for all cached models (in MB)
+   */
+  constructor(options = {}) {
+    this.logger = getLogger();
+    this.maxBytes = (options.maxSizeMB ?? 500) * 1024 * 1024;
+    this.enabled = options.enabled !== false
+      && typeof caches !== 'undefined'
+      && window.isSecureContext;
+
+    // url -> { version, etag, lastModified, contentType, size, storedAt, lastAccess }
+    this.index = this.enabled ? this._loadIndex() : {};
+
+    // Session statistics
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+
+    if (this.enabled) {
+      // Ask the browser not to evict our storage under pressure (best effort)
+      navigator.storage?.persist?.().catch(() => {});
+    }
+  }
+
+  /**
+   * Get index metadata for a cached URL (used for version checks / revalidation)
+   * @param {string} url - Original model URL
+   * @returns {object|null} Index entry or null when not cached
+   */
+  getEntry(url) {
+    return this.index[url] || null;
+  }
+
+  /**
+   * Read a cached model blob.
+   * @param {string} url - Original model URL
+   * @param {string|null} version - Expected content version; mismatches are treated as misses
+   * @returns {Promise<Blob|null>} Cached blob or null
+   */
+  async get(url, version = null) {
+    const entry = this.index[url];
+    if (!this.enabled || !entry) {
+      this.misses++;
+      return null;
+    }
+
+    if (version != null && entry.version !== String(version)) {
+      this.logger.info('MODEL_CACHE', 'Persistent cache entry is outdated', {
+        url,
+        cachedVersion: entry.version,
+        expectedVersion: String(version)
+      });
+      this.misses++;
+      await this.delete(url);
+      return null;
+    }
+
+    try {
+      const cache = await caches.open(CACHE_NAME);
+      const response = await cache.match(this._cacheKey(url));
+      if (!response) {
+        // Storage was cleared behind our back - drop the stale index entry
+        delete this.index[url];
+        this._saveIndex();
+        this.misses++;
+        return null;
+      }
+
+      const blob = await response.blob();
+      entry.lastAccess = Date.now();
+      this._saveIndex();
+      this.hits++;
+      return blob;
+    } catch (error) {
+      this.logger.warning('MODEL_CACHE', 'Failed to read persistent cache', {
+        url,
+        error: error.message
+      });
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a downloaded model blob, evicting least-recently-used entries to fit.
+   * @param {string} url - Original model URL
+   * @param {Blob} blob - Downloaded model data
+   * @param {object} meta - { version, etag, lastModified, contentType }
+   */
+  async put(url, blob, meta = {}) {
+    if (!this.enabled) return false;
+
+    if (blob.size > this.maxBytes) {
+      this.logger.warning('MODEL_CACHE', 'Model exceeds persistent cache budget - not cached', {
+        url,
+        size: blob.size,
+        maxBytes: this.maxBytes
+      });
+      return false;
+    }
+
+    try {
+      await this._evictToFit(blob.size, url);
+
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(this._cacheKey(url), new Response(blob, {
+        headers: {
+          'Content-Type': meta.contentType || blob.type || 'application/octet-stream',
+          'Content-Length': String(blob.size)
+        }
+      }));
+
+      const now = Date.now();
+      this.index[url] = {
+        version: meta.version != null ? String(meta.version) : null,
+        etag: meta.etag || null,
+        lastModified: meta.lastModified || null,
+        contentType: meta.contentType || blob.type || null,
+        size: blob.size,
+        storedAt: now,
+        lastAccess: now
+      };
+      this._saveIndex();
+
+      this.logger.info('MODEL_CACHE', 'Model stored in persistent cache', {
+        url,
+        size: blob.size,
+        version: this.index[url].version,
+        etag: this.index[url].etag,
+        totalBytes: this.getTotalBytes()
+      });
+      return true;
+    } catch (error) {
+      // QuotaExceededError or private browsing restrictions - not fatal
+      this.logger.warning('MODEL_CACHE', 'Failed to write persistent cache', {
+        url,
+        error: error.message,
+        name: error.name
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Mark a cached entry as recently used without reading it
+   * @param {string} url - Original model URL
+   */
+  touch(url) {
+    const entry = this.index[url];
+    if (entry) {
+      entry.lastAccess = Date.now();
+      this._saveIndex();
+    }
+  }
+
+  /**
+   * Remove a single entry from the persistent cache
+   * @param {string} url - Original model URL
+   */
+  async delete(url) {
+    if (!this.index[url]) return;
+    delete this.index[url];
+    this._saveIndex();
+
+    try {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.delete(this._cacheKey(url));
+    } catch (_) { /* ignore */ }
+  }
+
+  /**
+   * Remove every cached model
+   */
+  async clear() {
+    this.index = {};
+    this._saveIndex();
+
+    try {
+      await caches.delete(CACHE_NAME);
+    } catch (_) { /* ignore */ }
+
+    this.logger.info('MODEL_CACHE', 'Persistent model cache cleared');
+  }
+
+  /**
+   * Total bytes currently held in the persistent cache
+   */
+  getTotalBytes() {
+    return Object.values(this.index).reduce((sum, entry) => sum + (entry.size || 0), 0);
+  }
+
+  /**
+   * Get persistent cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: Object.keys(this.index).length,
+      totalBytes: this.getTotalBytes(),
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Internal: evict least-recently-used entries until incomingBytes fits the budget
+   * @param {number} incomingBytes - Size of the entry about to be stored
+   * @param {string} incomingUrl - URL being stored (its old entry is replaced, not counted)
+   */
+  async _evictToFit(incomingBytes, incomingUrl) {
+    let total = this.getTotalBytes() - (this.index[incomingUrl]?.size || 0);
+    if (total + incomingBytes <= this.maxBytes) return;
+
+    const candidates = Object.entries(this.index)
+      .filter(([url]) => url !== incomingUrl)
+      .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    for (const [url, entry] of candidates) {
+      if (total + incomingBytes <= this.maxBytes) break;
+      await this.delete(url);
+      total -= entry.size || 0;
+      this.evictions++;
+      this.logger.info('MODEL_CACHE', 'Evicted least recently used model', {
+        url,
+        size: entry.size,
+        lastAccess: new Date(entry.lastAccess).toISOString()
+      });
+    }
+  }
+
+  /**
+   * Internal: Cache Storage key for a model URL
+   */
+  _cacheKey(url) {
+    return new Request(new URL(url, window.location.origin).href);
+  }
+
+  _loadIndex() {
+    try {
+      const raw = localStorage.getItem(INDEX_KEY);
+      return raw ? JSON.parse(raw) : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  _saveIndex() {
+    try {
+      localStorage.setItem(INDEX_KEY, JSON.stringify(this.index));
+    } catch (_) { /* ignore - storage full or unavailable */ }
+  }
+}
@@ -1,20 +1,99 @@
 /**
  * Model Loader
- * Handles dynamic loading of GLB/glTF models from server
+ * Handles dynamic loading of GLB/glTF models from server with in-memory
+ * and a persistent on-device cache (see ModelCache)
  */
 
 import { getLogger } from './logger.js';
+import { getConfig } from '../config/config.js';
+import { ModelCache } from './model-cache.js';
+import { readGltfJson, getGltfExtensions } from './gltf-inspector.js';
+import { validateGltfDocument } from './gltf-validator.js';
+import { detectQualityTier, pickVariant, loadQualityOverride, saveQualityOverride } from './quality-selector.js';
+import { verifyBlob, MODEL_FORMATS } from './integrity.js';
+
+// Defined next to pickVariant, which versions variants with it
+export { getContentVersion } from './quality-selector.js';
+
+// HTTP statuses worth retrying (timeouts, rate limiting, gateway/server hiccups)
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const MB = 1024 * 1024;
+
+/**
+ * Whether the user is likely paying per byte (cellular or Data Saver on)
+ */
+function isMeteredConnection() {
+  const connection = navigator.connection;
+  return !!connection && (connection.type === 'cellular' || connection.saveData === true);
+}
 
 export class ModelLoader {
   constructor(modelConfigs) {
     this.models = modelConfigs;
     this.loadedModels = new Map();
+    // url -> { etag, lastModified } of the copy in loadedModels (for change checks)
+    this.modelValidators = new Map();
+    // url -> { extensions, issues } read from the glTF JSON of the downloaded file
+    this.modelInfo = new Map();
+    // url -> size in bytes reported by the server (HEAD / Content-Length)
+    this.modelSizes = new Map();
     this.currentLoadingModel = null;
     this.loadingProgress = 0;
     this.logger = getLogger();
     
+    // Persistent cache survives page reloads (Cache Storage + LRU index)
+    this.persistentCache = new ModelCache(getConfig().performance.modelCache);
+    
     // AbortController for cancellable fetch
     this.abortController = null;
+    
+    // url -> { promise, controller, listeners, background } downloads in progress,
+    // so a selection joins a running prefetch instead of downloading twice
+    this.inflight = new Map();
+    
+    // Quality tier picked manually by the user (null = automatic)
+    this.qualityOverride = loadQualityOverride();
+  }
+
+  /**
+   * Choose which quality variant of a model to load
+   * @param {object} modelConfig - Model entry from config.models
+   * @param {object} options
+   * @param {boolean} options.log - Log the selection (off for UI-only lookups)
+   * @returns {{tier: string|null, url: string, size: number|null, version: *, integrity: object, reason: string}}
+   */
+  selectVariant(modelConfig, { log = true } = {}) {
+    const renderer = document.querySelector('a-scene')?.renderer || null;
+    const { tier, signals } = detectQualityTier(renderer);
+    const variant = pickVariant(modelConfig, {
+      tier,
+      override: this.qualityOverride,
+      recommendedModelSize: getConfig().performance.recommendedModelSize
+    });
+    
+    if (variant.tier && log) {
+      this.logger.info('MODEL_QUALITY', `Selected "${variant.tier}" variant`, {
+        modelId: modelConfig.id,
+        url: variant.url,
+        size: variant.size,
+        reason: variant.reason,
+        deviceTier: tier,
+        override: this.qualityOverride,
+        signals
+      });
+    }
+    return variant;
+  }
+
+  /**
+   * Set (or clear with null) the user's manual quality tier
+   * @param {string|null} tier - 'low' | 'medium' | 'high' | null for automatic
+   */
+  setQualityOverride(tier) {
+    this.qualityOverride = tier || null;
+    saveQualityOverride(this.qualityOverride);
+    this.logger.info('MODEL_QUALITY', 'Quality override changed', { override: this.qualityOverride || 'auto' });
   }
 
   /**
@@ -32,9 +111,22 @@ export class ModelLoader {
 
   /**
    * Load a model from URL with progress tracking
+   * @param {string} url - Model URL
+   * @param {Function} onProgress - Progress callback (percent, receivedBytes, totalBytes)
+   * @param {object} options
+   * @param {string|number} options.version - Content version from config; when set, a
+   *   persistent cache entry with the same version is used without touching the network
+   * @param {number} options.expectedSize - Size in bytes declared by the config (skips the HEAD request)
+   * @param {Function} options.confirmDownload - async (bytes) => boolean, asked before
+   *   downloads above performance.recommendedModelSize on metered connections
+   * @param {object} options.integrity - { sha256, sizeBytes } the download must match
+   * @param {boolean} options.background - Prefetch: not tracked as the current load
+   *   (cancelCurrentLoad leaves it alone) and aborted through options.signal
+   * @param {AbortSignal} options.signal - Cancels a background load until a selection joins it
+   * @returns {Promise<string>} Object URL of the model blob
    */
-  async loadModel(url, onProgress) {
-    const startTime = Date.now();
+  async loadModel(url, onProgress, options = {}) {
+    const { background = false, signal = null } = options;
     
     // Check cache first
     if (this.loadedModels.has(url)) {
@@ -42,23 +134,117 @@ export class ModelLoader {
         url,
         fullUrl: new URL(url, window.location.origin).href
       });
+      this.persistentCache.touch(url);
       return this.loadedModels.get(url);
     }
     
-    try {
+    // Already downloading: a selection takes over a running prefetch
+    const running = this.inflight.get(url);
+    if (running) {
+      if (onProgress) running.listeners.add(onProgress);
+      if (!background && running.background) {
+        running.background = false;
+        this.abortController = running.controller;
+        this.currentLoadingModel = url;
+        this.logger.info('MODEL_PREFETCH', 'Selected model is being prefetched - joining download', { url });
+      }
+      return running.promise;
+    }
+    
+    const entry = {
+      controller: new AbortController(),
+      listeners: new Set(onProgress ? [onProgress] : []),
+      background
+    };
+    // The prefetcher's signal only counts while nobody else waits for this download
+    signal?.addEventListener('abort', () => {
+      if (entry.background) entry.controller.abort();
+    }, { once: true });
+    if (!background) {
+      this.abortController = entry.controller;
       this.currentLoadingModel = url;
+    }
+    
+    const fanOut = (...args) => entry.listeners.forEach(listener => listener(...args));
+    entry.promise = this._fetchModel(url, fanOut, options, entry)
+      .finally(() => {
+        this.inflight.delete(url);
+        if (!entry.background && this.currentLoadingModel === url) {
+          this.currentLoadingModel = null;
+          this.loadingProgress = 0;
+        }
+      });
+    this.inflight.set(url, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Internal: download (or read from the persistent cache) a model that is not
+   * in memory yet. See loadModel for the options.
+   * @param {object} download - inflight entry ({ controller, background })
+   */
+  async _fetchModel(url, onProgress, options, download) {
+    const startTime = Date.now();
+    const { version = null, expectedSize = null, confirmDownload = null, integrity = {} } = options;
+    const signal = download.controller.signal;
+    
+    try {
+      // Versioned models: a matching persistent entry is authoritative
+      const cachedEntry = this.persistentCache.getEntry(url);
+      if (cachedEntry && version != null) {
+        const cachedBlob = await this.persistentCache.get(url, version);
+        if (cachedBlob) {
+          return this._useCachedBlob(url, cachedBlob, startTime, 'version match');
+        }
+      }
+      
+      // Unversioned models: revalidate the persistent entry with a conditional request
+      const headers = {};
+      const revalidating = cachedEntry && version == null;
+      if (revalidating) {
+        if (cachedEntry.etag) headers['If-None-Match'] = cachedEntry.etag;
+        if (cachedEntry.lastModified) headers['If-Modified-Since'] = cachedEntry.lastModified;
+      }
       
-      // Create new AbortController for this request
-      this.abortController = new AbortController();
+      // Size limits before a fresh download (revalidated downloads are still capped while streaming)
+      const maxBytes = getConfig().performance.maxModelSize * MB;
+      if (!revalidating) {
+        await this._checkDownloadSize(url, expectedSize, download.background ? null : confirmDownload, maxBytes);
+      }
       
-      this.logger.logFetchAttempt(url, { method: 'GET' });
+      this.logger.logFetchAttempt(url, { method: 'GET', headers });
       
       // Fetch model with progress tracking (pass abort signal)
-      const response = await this.fetchWithProgress(url, onProgress, this.abortController.signal);
+      let response;
+      try {
+        response = await this.fetchWithProgress(url, onProgress, signal, headers, maxBytes);
+      } catch (networkError) {
+        // Offline or server unreachable: fall back to a stale persistent copy if we have one
+        if (revalidating && networkError.name !== 'AbortError' && !networkError.code) {
+          const staleBlob = await this.persistentCache.get(url);
+          if (staleBlob) {
+            this.logger.warning('MODEL_CACHE', 'Network unavailable - using stale cached model', {
+              url,
+              error: networkError.message
+            });
+            return this._useCachedBlob(url, staleBlob, startTime, 'offline fallback');
+          }
+        }
+        throw networkError;
+      }
       
       // Log response details
       this.logger.logFetchResponse(url, response, startTime);
       
+      if (response.status === 304 && revalidating) {
+        const cachedBlob = await this.persistentCache.get(url);
+        if (cachedBlob) {
+          return this._useCachedBlob(url, cachedBlob, startTime, 'not modified');
+        }
+        // Cache entry vanished between revalidation and read - download unconditionally
+        response = await this.fetchWithProgress(url, onProgress, signal, {}, maxBytes);
+      }
+      
       if (!response.ok) {
         this.logger.logNetworkRequest('GET', url, response.status, {
           statusText: response.statusText,
@@ -68,12 +254,27 @@ export class ModelLoader {
         throw new Error(`Failed to load model: HTTP ${response.status} ${response.statusText}`);
       }
       
-      // Get blob and create object URL
+      // Get blob, verify it is the model we expect, and create object URL
       const blob = await response.blob();
+      await this._verifyModelBlob(url, blob, integrity);
       const objectUrl = URL.createObjectURL(blob);
       
       // Cache the object URL
       this.loadedModels.set(url, objectUrl);
+      this.modelValidators.set(url, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified')
+      });
+      this.modelSizes.set(url, blob.size);
+      this._inspectModel(url, blob);
+      
+      // Persist for future sessions (fire-and-forget, failures are logged by the cache)
+      this.persistentCache.put(url, blob, {
+        version,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        contentType: response.headers.get('content-type')
+      });
       
       const loadTime = Date.now() - startTime;
       this.logger.success('NETWORK', 'Model downloaded successfully', { 
@@ -89,6 +290,10 @@ export class ModelLoader {
       
     } catch (error) {
       const loadTime = Date.now() - startTime;
+      if (download.background) {
+        // Prefetch failures are not user-facing; the prefetcher logs them briefly
+        throw error;
+      }
       this.logger.error('NETWORK', `Failed to fetch model: ${url}`, { 
         error: error.message,
         stack: error.stack,
@@ -98,12 +303,139 @@ export class ModelLoader {
         timestamp: Date.now()
       });
       throw error;
-    } finally {
-      this.currentLoadingModel = null;
-      this.loadingProgress = 0;
     }
   }
 
+  /**
+   * Internal: register a blob read from the persistent cache as the in-memory copy
+   * @param {string} url - Original model URL
+   * @param {Blob} blob - Cached model data
+   * @param {number} startTime - Load start timestamp (for logging)
+   * @param {string} reason - Why the cached copy was used
+   * @returns {string} Object URL
+   */
+  _useCachedBlob(url, blob, startTime, reason) {
+    const objectUrl = URL.createObjectURL(blob);
+    this.loadedModels.set(url, objectUrl);
+    const entry = this.persistentCache.getEntry(url);
+    this.modelValidators.set(url, {
+      etag: entry?.etag || null,
+      lastModified: entry?.lastModified || null
+    });
+    this._inspectModel(url, blob);
+    
+    this.logger.success('MODEL_CACHE', 'Model loaded from persistent cache', {
+      url,
+      reason,
+      size: blob.size,
+      sizeFormatted: this.formatBytes(blob.size),
+      loadTime: `${Date.now() - startTime}ms`,
+      cached: true
+    });
+    return objectUrl;
+  }
+
+  /**
+   * Get the download size of a model without downloading it
+   * (persistent cache index, then a HEAD request)
+   * @param {string} url - Model URL
+   * @returns {Promise<number|null>} Size in bytes, or null when the server doesn't say
+   */
+  async getModelSize(url) {
+    if (this.modelSizes.has(url)) return this.modelSizes.get(url);
+    
+    let size = this.persistentCache.getEntry(url)?.size ?? null;
+    if (size == null) {
+      try {
+        const response = await fetch(url, { method: 'HEAD' });
+        const contentLength = response.ok ? response.headers.get('content-length') : null;
+        size = contentLength ? parseInt(contentLength, 10) : null;
+      } catch (error) {
+        this.logger.warning('MODEL_SIZE', 'HEAD request failed - size unknown', { url, error: error.message });
+      }
+    }
+    
+    if (size != null) this.modelSizes.set(url, size);
+    return size;
+  }
+
+  /**
+   * Internal: enforce performance.maxModelSize and ask before large downloads
+   * on metered connections. Throws MODEL_TOO_LARGE or DOWNLOAD_DECLINED errors.
+   * @param {string} url - Model URL
+   * @param {number|null} expectedSize - Size in bytes declared by the config
+   * @param {Function|null} confirmDownload - async (bytes) => boolean
+   * @param {number} maxBytes - Size limit in bytes
+   */
+  async _checkDownloadSize(url, expectedSize, confirmDownload, maxBytes) {
+    const { recommendedModelSize } = getConfig().performance;
+    const size = expectedSize ?? await this.getModelSize(url);
+    
+    if (size == null) {
+      this.logger.info('MODEL_SIZE', 'Model size unknown - limit enforced while downloading', { url });
+      return;
+    }
+    
+    if (size > maxBytes) {
+      throw this._tooLargeError(url, size, maxBytes);
+    }
+    
+    const metered = isMeteredConnection();
+    this.logger.info('MODEL_SIZE', 'Model size checked', {
+      url,
+      size,
+      sizeFormatted: this.formatBytes(size),
+      recommended: `${recommendedModelSize} MB`,
+      metered
+    });
+    
+    if (size > recommendedModelSize * MB && metered && confirmDownload) {
+      const accepted = await confirmDownload(size);
+      if (!accepted) {
+        this.logger.info('MODEL_SIZE', 'Large download declined by user', { url, size });
+        throw Object.assign(new Error('Download declined'), { code: 'DOWNLOAD_DECLINED' });
+      }
+    }
+  }
+
+  /**
+   * Internal: reject downloads that are not a GLB/glTF file or do not match
+   * the size / SHA-256 from the config. Throws an INTEGRITY_MISMATCH error.
+   * @param {string} url - Model URL
+   * @param {Blob} blob - Downloaded data
+   * @param {object} integrity - { sha256, sizeBytes } from the config
+   */
+  async _verifyModelBlob(url, blob, integrity) {
+    const result = await verifyBlob(blob, { formats: MODEL_FORMATS, ...integrity });
+    if (result.valid) {
+      if (integrity.sha256 && result.sha256) {
+        this.logger.info('MODEL_INTEGRITY', 'SHA-256 verified', { url, sha256: result.sha256 });
+      }
+      return;
+    }
+    
+    this.logger.error('MODEL_INTEGRITY', 'Downloaded model failed verification', {
+      url,
+      format: result.format,
+      size: blob.size,
+      contentType: blob.type,
+      errors: result.errors
+    });
+    throw Object.assign(new Error(`Model file is corrupt: ${result.errors[0]}`), {
+      code: 'INTEGRITY_MISMATCH',
+      errors: result.errors
+    });
+  }
+
+  /**
+   * Internal: error for a model over performance.maxModelSize
+   */
+  _tooLargeError(url, size, maxBytes) {
+    const message = `Model is too large (${this.formatBytes(size)}, limit ${this.formatBytes(maxBytes)})`;
+    this.logger.error('MODEL_SIZE', message, { url, size, maxBytes });
+    return Object.assign(new Error(message), { code: 'MODEL_TOO_LARGE', size, maxBytes });
+  }
+
   /**
    * Format bytes to human readable format
    */
@@ -116,88 +448,216 @@ export class ModelLoader {
   }
 
   /**
-   * Fetch with progress tracking
+   * Fetch with progress tracking, resuming interrupted downloads.
+   * Dropped connections and transient HTTP errors are retried with exponential
+   * backoff; when bytes were already received the next attempt sends a Range
+   * request (guarded by If-Range) so only the remainder is downloaded.
    * @param {string} url - URL to fetch
-   * @param {Function} onProgress - Progress callback
+   * @param {Function} onProgress - Progress callback (percent, received, total, retryState).
+   *   retryState is null while data flows, or { retrying, attempt, maxAttempts, delayMs, resumeFrom }
+   *   while waiting to reconnect.
    * @param {AbortSignal} signal - Abort signal for cancellation
+   * @param {object} headers - Extra request headers (e.g. conditional revalidation)
+   * @param {number} maxBytes - Stop with a MODEL_TOO_LARGE error beyond this many bytes
    */
-  async fetchWithProgress(url, onProgress, signal = null) {
-    const response = await fetch(url, { signal });
-    
-    if (!response.ok) {
-      return response;
-    }
-    
-    // Get total size from headers
-    const contentLength = response.headers.get('content-length');
-    const total = contentLength ? parseInt(contentLength, 10) : null;
+  async fetchWithProgress(url, onProgress, signal = null, headers = {}, maxBytes = Infinity) {
+    const retry = {
+      maxAttempts: 5,
+      baseDelay: 1000,
+      maxDelay: 15000,
+      ...(getConfig().server.retry || {})
+    };
     
-    if (!response.body) {
-      // No streaming support - return response as-is
-      return response;
-    }
-    
-    // Read the response stream
-    const reader = response.body.getReader();
     const chunks = [];
     let receivedLength = 0;
+    let total = null;
+    let firstResponse = null;
+    let validator = null;   // Strong ETag or Last-Modified, used for If-Range
+    let failedAttempts = 0;
     
     while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) break;
-      
-      chunks.push(value);
-      receivedLength += value.length;
+      const requestHeaders = { ...headers };
+      if (receivedLength > 0) {
+        requestHeaders['Range'] = `bytes=${receivedLength}-`;
+        if (validator) requestHeaders['If-Range'] = validator;
+      }
       
-      if (total) {
-        // Determinate: calculate progress percentage
-        const progress = Math.round((receivedLength / total) * 100);
-        this.loadingProgress = progress;
-        if (onProgress) {
-          onProgress(progress, receivedLength, total);
+      try {
+        const response = await fetch(url, { signal, headers: requestHeaders });
+        
+        if (!response.ok) {
+          if (response.status === 416 && receivedLength > 0) {
+            // Resume point no longer valid (file changed or shrank): start over without Range
+            response.body?.cancel();
+            this.logger.warning('NETWORK', 'Range not satisfiable - restarting download', {
+              url,
+              discardedBytes: receivedLength
+            });
+            chunks.length = 0;
+            receivedLength = 0;
+            firstResponse = null;
+            continue;
+          }
+          if (RETRYABLE_STATUSES.has(response.status) && failedAttempts + 1 < retry.maxAttempts) {
+            // Release the connection during the backoff
+            response.body?.cancel();
+            throw Object.assign(new Error(`HTTP ${response.status}`), { retryable: true });
+          }
+          // Non-retryable (404, 304, ...) or out of attempts: let the caller handle it
+          return response;
+        }
+        
+        if (receivedLength > 0) {
+          const rangeStart = this._parseContentRangeStart(response.headers.get('content-range'));
+          if (response.status === 206 && rangeStart === receivedLength) {
+            this.logger.info('NETWORK', 'Download resumed', { url, resumeFrom: receivedLength, total });
+          } else {
+            // Server ignored the range or the file changed: start over
+            this.logger.warning('NETWORK', 'Server did not honour range request - restarting download', {
+              url,
+              status: response.status,
+              discardedBytes: receivedLength
+            });
+            chunks.length = 0;
+            receivedLength = 0;
+            firstResponse = null;
+          }
         }
-      } else {
-        // Indeterminate: signal with -1, pass received bytes
-        this.loadingProgress = -1;
-        if (onProgress) {
-          onProgress(-1, receivedLength, null);
+        
+        if (!firstResponse) {
+          firstResponse = response;
+          const contentLength = response.headers.get('content-length');
+          total = contentLength ? parseInt(contentLength, 10) : null;
+          if (total > maxBytes) {
+            response.body?.cancel();
+            throw this._tooLargeError(url, total, maxBytes);
+          }
+          const etag = response.headers.get('etag');
+          validator = (etag && !etag.startsWith('W/')) ? etag : response.headers.get('last-modified');
+          
+          if (!response.body) {
+            // No streaming support - return response as-is
+            return response;
+          }
+        }
+        
+        // Read the response stream
+        const reader = response.body.getReader();
+        
+        while (true) {
+          const { done, value } = await reader.read();
+          
+          if (done) break;
+          
+          chunks.push(value);
+          receivedLength += value.length;
+          failedAttempts = 0; // Progress made - reset the backoff
+          
+          // Servers without Content-Length are capped while streaming
+          if (receivedLength > maxBytes) {
+            reader.cancel();
+            throw this._tooLargeError(url, receivedLength, maxBytes);
+          }
+          
+          this._reportProgress(onProgress, receivedLength, total, null);
+        }
+        
+        break;
+        
+      } catch (error) {
+        if (error.name === 'AbortError' || signal?.aborted || error.code === 'MODEL_TOO_LARGE') {
+          throw error;
+        }
+        
+        failedAttempts++;
+        if (failedAttempts >= retry.maxAttempts) {
+          this.logger.error('NETWORK', 'Download failed after retries', {
+            url,
+            attempts: failedAttempts,
+            receivedBytes: receivedLength,
+            error: error.message
+          });
+          throw error;
         }
+        
+        // Exponential backoff with jitter
+        const backoff = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, failedAttempts - 1));
+        const delayMs = Math.round(backoff * (0.5 + Math.random() * 0.5));
+        
+        this.logger.warning('NETWORK', 'Download interrupted - retrying', {
+          url,
+          attempt: failedAttempts,
+          maxAttempts: retry.maxAttempts,
+          delayMs,
+          resumeFrom: receivedLength,
+          error: error.message
+        });
+        
+        this._reportProgress(onProgress, receivedLength, total, {
+          retrying: true,
+          attempt: failedAttempts,
+          maxAttempts: retry.maxAttempts,
+          delayMs,
+          resumeFrom: receivedLength
+        });
+        
+        await this._delay(delayMs, signal);
       }
     }
     
     // Create blob directly from chunks (efficient, no extra copy)
     const blob = new Blob(chunks);
     return new Response(blob, {
-      status: response.status,
-      statusText: response.statusText,
-      headers: response.headers
+      status: firstResponse.status,
+      statusText: firstResponse.statusText,
+      headers: firstResponse.headers
     });
   }
 
   /**
-   * Preload multiple models
+   * Internal: forward download progress to the caller and track loadingProgress
    */
-  async preloadModels(urls, onProgress) {
-    const totalModels = urls.length;
-    let loadedCount = 0;
-    
-    for (const url of urls) {
-      try {
-        await this.loadModel(url, (progress) => {
-          const overallProgress = ((loadedCount + (progress / 100)) / totalModels) * 100;
-          if (onProgress) {
-            onProgress(overallProgress);
-          }
-        });
-        
-        loadedCount++;
-      } catch (error) {
-        console.error(`Failed to preload model: ${url}`, error);
+  _reportProgress(onProgress, receivedLength, total, retryState) {
+    if (total) {
+      // Determinate: calculate progress percentage
+      const progress = Math.round((receivedLength / total) * 100);
+      this.loadingProgress = progress;
+      if (onProgress) {
+        onProgress(progress, receivedLength, total, retryState);
+      }
+    } else {
+      // Indeterminate: signal with -1, pass received bytes
+      this.loadingProgress = -1;
+      if (onProgress) {
+        onProgress(-1, receivedLength, null, retryState);
       }
     }
-    
-    return loadedCount === totalModels;
+  }
+
+  /**
+   * Internal: parse the first byte offset from a Content-Range header
+   * (e.g. "bytes 1000-1999/5000" -> 1000)
+   */
+  _parseContentRangeStart(contentRange) {
+    const match = /^bytes (\d+)-/i.exec(contentRange || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Internal: abortable delay used between retries
+   */
+  _delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Download aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -209,14 +669,21 @@ export class ModelLoader {
 
   /**
    * Clear model cache
+   * @param {boolean} includePersistent - Also wipe the on-device persistent cache
    */
-  clearCache() {
+  async clearCache(includePersistent = false) {
     // Revoke all object URLs to free memory
     for (const [url, objectUrl] of this.loadedModels) {
       URL.revokeObjectURL(objectUrl);
     }
     
     this.loadedModels.clear();
+    this.modelValidators.clear();
+    this.modelInfo.clear();
+    this.modelSizes.clear();
+    if (includePersistent) {
+      await this.persistentCache.clear();
+    }
     console.log('Model cache cleared');
   }
 
@@ -227,6 +694,140 @@ export class ModelLoader {
     return this.loadedModels.size;
   }
 
+  /**
+   * Get cache statistics (in-memory blob URLs + persistent on-device cache)
+   */
+  getCacheStats() {
+    return {
+      memoryEntries: this.loadedModels.size,
+      persistent: this.persistentCache.getStats()
+    };
+  }
+
+  /**
+   * Drop a model from both the in-memory and persistent caches
+   * @param {string} url - Original model URL
+   */
+  async invalidateModel(url) {
+    const objectUrl = this.loadedModels.get(url);
+    if (objectUrl) {
+      URL.revokeObjectURL(objectUrl);
+      this.loadedModels.delete(url);
+    }
+    this.modelValidators.delete(url);
+    this.modelInfo.delete(url);
+    this.modelSizes.delete(url);
+    await this.persistentCache.delete(url);
+  }
+
+  /**
+   * Make a model picked from the device loadable under its blob URL. It stays
+   * in memory only and is never written to the persistent cache.
+   * @param {string} url - Blob URL of the model (also its config `url`)
+   * @param {Blob} blob - Model data
+   */
+  registerLocalModel(url, blob) {
+    this.loadedModels.set(url, url);
+    this.modelSizes.set(url, blob.size);
+    this._inspectModel(url, blob);
+  }
+
+  /**
+   * Get what is known about a downloaded model's file (e.g. glTF extensions)
+   * @param {string} url - Model URL
+   * @returns {object|null}
+   */
+  getModelInfo(url) {
+    return this.modelInfo.get(url) || null;
+  }
+
+  /**
+   * Internal: read the glTF JSON of a model blob and log the extensions it uses
+   * (Draco / Meshopt / KTX2 compression in particular). Never blocks or fails the load.
+   */
+  async _inspectModel(url, blob) {
+    try {
+      const json = await readGltfJson(blob);
+      if (!json) {
+        this.logger.warning('MODEL_FORMAT', 'Model is not a GLB/glTF file', { url, type: blob.type });
+        return;
+      }
+      
+      const extensions = getGltfExtensions(json);
+      // Structural issues are reported with the rest of the validation report once parsed
+      this.modelInfo.set(url, { extensions, issues: validateGltfDocument(json) });
+      this.logger.info('MODEL_FORMAT', 'glTF extensions', {
+        url,
+        used: extensions.used,
+        required: extensions.required,
+        compression: extensions.compression.length > 0 ? extensions.compression : 'none'
+      });
+      
+      const unsupportedRequired = extensions.required.filter(name => extensions.unsupported.includes(name));
+      if (unsupportedRequired.length > 0) {
+        this.logger.error('MODEL_FORMAT', 'Model requires unsupported glTF extensions', {
+          url,
+          extensions: unsupportedRequired
+        });
+      } else if (extensions.unsupported.length > 0) {
+        this.logger.warning('MODEL_FORMAT', 'Model uses optional glTF extensions that will be ignored', {
+          url,
+          extensions: extensions.unsupported
+        });
+      }
+    } catch (error) {
+      this.logger.warning('MODEL_FORMAT', 'Could not read glTF header', { url, error: error.message });
+    }
+  }
+
+  /**
+   * Check whether the server copy of a downloaded model differs from ours,
+   * using a HEAD request revalidated against the stored ETag / Last-Modified.
+   * Without validators (or when the check fails) the model is assumed unchanged.
+   * @param {string} url - Model URL
+   * @returns {Promise<boolean>} True when the file on the server changed
+   */
+  async hasRemoteChanged(url) {
+    const validators = this.modelValidators.get(url) || this.persistentCache.getEntry(url);
+    if (!validators?.etag && !validators?.lastModified) {
+      return false;
+    }
+    
+    const headers = {};
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+    
+    try {
+      const response = await fetch(url, { method: 'HEAD', headers, cache: 'no-store' });
+      if (response.status === 304 || !response.ok) {
+        return false;
+      }
+      
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      const changed = (validators.etag && etag)
+        ? etag !== validators.etag
+        : !!(validators.lastModified && lastModified && lastModified !== validators.lastModified);
+      
+      if (changed) {
+        this.logger.info('MODEL_CACHE', 'Model changed on server', {
+          url,
+          cachedEtag: validators.etag,
+          etag,
+          cachedLastModified: validators.lastModified,
+          lastModified
+        });
+      }
+      return changed;
+    } catch (error) {
+      this.logger.warning('MODEL_CACHE', 'Could not revalidate model', {
+        url,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Check if model is cached
    */
@@ -0,0 +1,193 @@
+/**
+ * Model Prefetcher
+ * Downloads models the user is likely to pick next while the app is idle, so
+ * switching feels instant. Candidates come in priority order (neighbours of
+ * the active model, cards visible in the gallery, popular models); a few run
+ * at once, nothing starts while the app is busy (a model loading, the AR
+ * frame rate dropping) or Data Saver is on, and a new selection cancels
+ * pending work.
+ * Only the file is fetched (into ModelLoader's caches) - nothing is parsed.
+ */
+
+import { getLogger } from './logger.js';
+import { getConfig } from '../config/config.js';
+import { getContentVersion } from './model-loader.js';
+
+const MB = 1024 * 1024;
+
+// How long to wait before checking again while paused or busy
+const RETRY_DELAY = 2000;
+
+export class ModelPrefetcher {
+  /**
+   * @param {ModelLoader} modelLoader - Loader whose caches are filled
+   * @param {object} options
+   * @param {boolean} options.enabled - Turn background prefetching off
+   * @param {number} options.concurrency - Downloads running at the same time
+   */
+  constructor(modelLoader, options = {}) {
+    this.modelLoader = modelLoader;
+    this.logger = getLogger();
+    this.enabled = options.enabled !== false;
+    this.concurrency = Math.max(1, options.concurrency ?? 2);
+
+    // Pending jobs in priority order: { url, model, variant, reason }
+    this.queue = [];
+    // url -> AbortController of running prefetches
+    this.active = new Map();
+    // Optional () => boolean checked before starting downloads; while it
+    // returns true the queue waits (e.g. a model loading, AR frame rate dropping)
+    this.isBusy = null;
+
+    this.stats = { completed: 0, failed: 0, skipped: 0, cancelled: 0 };
+    this._timer = null;
+    this._idleHandle = null;
+
+    navigator.connection?.addEventListener?.('change', () => this._scheduleRun());
+  }
+
+  /**
+   * Replace the pending queue with new candidates; running prefetches that
+   * are no longer wanted are cancelled
+   * @param {Array<{model: object, reason: string}>} candidates - Most likely first
+   */
+  schedule(candidates) {
+    if (!this.enabled) return;
+
+    const wanted = new Set();
+    this.queue = [];
+    for (const { model, reason } of candidates) {
+      const variant = this.modelLoader.selectVariant(model, { log: false });
+      if (wanted.has(variant.url) || this.modelLoader.isModelCached(variant.url)) continue;
+      wanted.add(variant.url);
+      if (!this.active.has(variant.url)) {
+        this.queue.push({ url: variant.url, model, variant, reason });
+      }
+    }
+    for (const [url, controller] of this.active) {
+      if (!wanted.has(url)) controller.abort();
+    }
+
+    if (this.queue.length > 0) {
+      this.logger.info('MODEL_PREFETCH', `Prefetch queue: ${this.queue.length} models`, {
+        models: this.queue.map(job => `${job.model.id} (${job.reason})`)
+      });
+      this._scheduleRun();
+    }
+  }
+
+  /**
+   * Abort running prefetches and drop the queue
+   * @param {string|null} keepUrl - Download to leave running (the model just selected)
+   */
+  cancel(keepUrl = null) {
+    this.queue = [];
+    for (const [url, controller] of this.active) {
+      if (url !== keepUrl) controller.abort();
+    }
+  }
+
+  /**
+   * Get prefetch statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queued: this.queue.length,
+      running: this.active.size
+    };
+  }
+
+  /**
+   * Internal: start queued jobs once the main thread is idle
+   */
+  _scheduleRun(delay = 0) {
+    if (this._timer || this._idleHandle) return;
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      if (typeof requestIdleCallback === 'function') {
+        this._idleHandle = requestIdleCallback(() => {
+          this._idleHandle = null;
+          this._run();
+        }, { timeout: RETRY_DELAY });
+      } else {
+        this._run();
+      }
+    }, delay);
+  }
+
+  _run() {
+    if (this.queue.length === 0) return;
+
+    if (navigator.connection?.saveData) {
+      // Resumed by the connection 'change' event
+      return;
+    }
+    if (this.isBusy?.()) {
+      this._scheduleRun(RETRY_DELAY);
+      return;
+    }
+
+    while (this.active.size < this.concurrency && this.queue.length > 0) {
+      this._prefetch(this.queue.shift());
+    }
+  }
+
+  /**
+   * Internal: download one model, skipping anything above the recommended size
+   */
+  async _prefetch(job) {
+    const controller = new AbortController();
+    this.active.set(job.url, controller);
+    const startTime = Date.now();
+
+    try {
+      const maxBytes = getConfig().performance.recommendedModelSize * MB;
+      const size = job.variant.size != null
+        ? job.variant.size * MB
+        : await this.modelLoader.getModelSize(job.url);
+      // Unknown sizes are left for an explicit selection
+      if (size == null || size > maxBytes) {
+        this.stats.skipped++;
+        this.logger.info('MODEL_PREFETCH', 'Skipped - size unknown or above recommendedModelSize', {
+          modelId: job.model.id,
+          size
+        });
+        return;
+      }
+      if (controller.signal.aborted) {
+        this.stats.cancelled++;
+        return;
+      }
+
+      await this.modelLoader.loadModel(job.url, null, {
+        version: job.variant.version ?? getContentVersion(job.model),
+        expectedSize: size,
+        integrity: job.variant.integrity,
+        background: true,
+        signal: controller.signal
+      });
+      this.stats.completed++;
+      this.logger.info('MODEL_PREFETCH', 'Model prefetched', {
+        modelId: job.model.id,
+        reason: job.reason,
+        duration: `${Date.now() - startTime}ms`
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.stats.cancelled++;
+        this.logger.info('MODEL_PREFETCH', 'Prefetch cancelled', { modelId: job.model.id });
+      } else {
+        this.stats.failed++;
+        this.logger.warning('MODEL_PREFETCH', 'Prefetch failed', {
+          modelId: job.model.id,
+          error: error.message
+        });
+      }
+    } finally {
+      this.active.delete(job.url);
+      this._scheduleRun();
+    }
+  }
+}
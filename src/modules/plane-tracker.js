@@ -0,0 +1,192 @@
+/**
+ * Plane Tracker
+ * Follows the planes reported by WebXR plane detection, draws a subtle
+ * outline for each and answers two questions for placement: is a point on a
+ * detected plane, and does a model's footprint fit inside that plane's
+ * polygon.
+ */
+
+import { getLogger } from './logger.js';
+
+// A point within this distance (m) of a plane counts as lying on it
+const PLANE_TOLERANCE = 0.05;
+
+const OUTLINE_COLOR = 0xffffff;
+const OUTLINE_OPACITY = 0.35;
+
+export class PlaneTracker {
+  /**
+   * @param {Element} scene - A-Frame scene
+   * @param {object} options
+   * @param {boolean} options.enabled - Request plane detection
+   * @param {boolean} options.showPlanes - Draw plane outlines
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.enabled = options.enabled !== false;
+    this.showPlanes = options.showPlanes !== false;
+    this.logger = getLogger();
+
+    // XRPlane -> { outline, matrix, inverse, polygon, orientation, lastChangedTime }
+    this.planes = new Map();
+    this.group = new THREE.Group();
+    this.group.name = 'detected-planes';
+    this.active = false;
+
+    this._tmpPoint = new THREE.Vector3();
+  }
+
+  /**
+   * Whether the session reports planes
+   */
+  start(session) {
+    this.active = this.enabled && (!session.enabledFeatures || session.enabledFeatures.includes('plane-detection'));
+    if (this.active) {
+      this.scene.object3D.add(this.group);
+    }
+    this.logger.info('PLANE_DETECTION', this.active
+      ? 'Plane detection active'
+      : 'Plane detection unavailable - using hit-test only');
+    return this.active;
+  }
+
+  /**
+   * Sync tracked planes with the frame (call once per XR frame)
+   * @param {XRFrame} frame
+   * @param {XRReferenceSpace} referenceSpace
+   */
+  update(frame, referenceSpace) {
+    if (!this.active || !frame.detectedPlanes) return;
+
+    for (const [plane, record] of this.planes) {
+      if (!frame.detectedPlanes.has(plane)) {
+        this._removePlane(plane, record);
+      }
+    }
+
+    frame.detectedPlanes.forEach(plane => {
+      const pose = frame.getPose(plane.planeSpace, referenceSpace);
+      let record = this.planes.get(plane);
+      if (!pose) {
+        if (record) record.outline.visible = false;
+        return;
+      }
+
+      if (!record) {
+        record = {
+          outline: this._createOutline(),
+          matrix: new THREE.Matrix4(),
+          inverse: new THREE.Matrix4(),
+          polygon: [],
+          orientation: plane.orientation,
+          lastChangedTime: -1
+        };
+        this.planes.set(plane, record);
+        this.group.add(record.outline);
+        this.logger.info('PLANE_DETECTION', 'Plane detected', {
+          orientation: plane.orientation,
+          total: this.planes.size
+        });
+      }
+
+      record.matrix.fromArray(pose.transform.matrix);
+      record.inverse.copy(record.matrix).invert();
+      record.outline.matrix.copy(record.matrix);
+      record.outline.visible = this.showPlanes;
+
+      if (plane.lastChangedTime !== record.lastChangedTime) {
+        record.lastChangedTime = plane.lastChangedTime;
+        record.polygon = plane.polygon.map(point => ({ x: point.x, z: point.z }));
+        this._updateOutline(record);
+      }
+    });
+  }
+
+  /**
+   * Detected plane a point lies on
+   * @param {{x: number, y: number, z: number}} point - Position in the reference space
+   * @returns {object|null} Plane record (see update)
+   */
+  findPlaneAt(point) {
+    for (const record of this.planes.values()) {
+      const local = this._toPlane(record, point);
+      if (Math.abs(local.y) <= PLANE_TOLERANCE && pointInPolygon(local.x, local.z, record.polygon)) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that a footprint lies inside the plane under its centre
+   * @param {{x: number, y: number, z: number}} center - Placement point on the plane
+   * @param {Array<{x: number, z: number}>} corners - Footprint corners in the reference space
+   * @returns {{fits: boolean|null, plane: object|null}} fits is null when no plane is under the centre
+   */
+  checkFootprint(center, corners) {
+    const plane = this.findPlaneAt(center);
+    if (!plane) return { fits: null, plane: null };
+
+    const fits = corners.every(corner => {
+      const local = this._toPlane(plane, { x: corner.x, y: center.y, z: corner.z });
+      return pointInPolygon(local.x, local.z, plane.polygon);
+    });
+    return { fits, plane };
+  }
+
+  /**
+   * Remove all planes (session ended)
+   */
+  stop() {
+    for (const [plane, record] of this.planes) {
+      this._removePlane(plane, record);
+    }
+    this.group.parent?.remove(this.group);
+    this.active = false;
+  }
+
+  _toPlane(record, point) {
+    return this._tmpPoint.set(point.x, point.y, point.z).applyMatrix4(record.inverse);
+  }
+
+  _createOutline() {
+    const outline = new THREE.LineLoop(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: OUTLINE_COLOR, transparent: true, opacity: OUTLINE_OPACITY })
+    );
+    outline.matrixAutoUpdate = false;
+    return outline;
+  }
+
+  _updateOutline(record) {
+    const positions = new Float32Array(record.polygon.length * 3);
+    record.polygon.forEach((point, i) => {
+      positions[i * 3] = point.x;
+      positions[i * 3 + 2] = point.z;
+    });
+    record.outline.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    record.outline.geometry.computeBoundingSphere();
+  }
+
+  _removePlane(plane, record) {
+    this.group.remove(record.outline);
+    record.outline.geometry.dispose();
+    record.outline.material.dispose();
+    this.planes.delete(plane);
+  }
+}
+
+/**
+ * Even-odd test of a point against a polygon in the plane's XZ coordinates
+ */
+function pointInPolygon(x, z, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,160 @@
+/**
+ * Quality Selector
+ * Picks which quality variant of a model to download. Models may list
+ * `variants: { low, medium, high }` (each `{ url, size }`, size in MB); the
+ * tier is chosen from device memory, GPU limits, network conditions and
+ * `performance.recommendedModelSize`, unless the user picked one manually.
+ */
+
+export const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+const OVERRIDE_KEY = 'webar:quality-override';
+
+/**
+ * Content version of a model config entry: explicit `version`, else the
+ * content `hash` or `sha256`. Null means the file can only be revalidated over HTTP.
+ * @param {object} modelConfig - Model entry from config.models
+ * @returns {string|null}
+ */
+export function getContentVersion(modelConfig) {
+  const version = modelConfig?.version ?? modelConfig?.hash ?? modelConfig?.sha256 ?? null;
+  return version != null ? String(version) : null;
+}
+
+/**
+ * Estimate the highest quality tier this device and connection can handle
+ * @param {THREE.WebGLRenderer|null} renderer - Scene renderer (for GPU limits)
+ * @returns {{tier: string, signals: object}} Tier plus the signals that decided it
+ */
+export function detectQualityTier(renderer = null) {
+  const signals = {};
+  let tier = 2; // index into QUALITY_TIERS
+
+  // Device memory (GB, Chromium only, rounded down to a power of two)
+  const memory = navigator.deviceMemory;
+  if (memory) {
+    signals.deviceMemory = memory;
+    tier = Math.min(tier, memory <= 2 ? 0 : memory <= 4 ? 1 : 2);
+  }
+
+  // GPU limits
+  const capabilities = renderer?.capabilities;
+  if (capabilities) {
+    signals.maxTextureSize = capabilities.maxTextureSize;
+    signals.webgl2 = capabilities.isWebGL2;
+    if (!capabilities.isWebGL2 || capabilities.maxTextureSize < 4096) {
+      tier = 0;
+    } else if (capabilities.maxTextureSize < 8192) {
+      tier = Math.min(tier, 1);
+    }
+  }
+
+  // Network (Chromium only)
+  const connection = navigator.connection;
+  if (connection) {
+    signals.effectiveType = connection.effectiveType;
+    signals.saveData = !!connection.saveData;
+    if (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType)) {
+      tier = 0;
+    } else if (connection.effectiveType === '3g') {
+      tier = Math.min(tier, 1);
+    }
+  }
+
+  return { tier: QUALITY_TIERS[tier], signals };
+}
+
+/**
+ * Choose the variant to load for a model
+ * @param {object} model - Model entry from config.models
+ * @param {object} options
+ * @param {string} options.tier - Highest tier the device can handle (detectQualityTier)
+ * @param {string|null} options.override - Tier picked manually by the user
+ * @param {number} options.recommendedModelSize - Preferred max download in MB
+ * @returns {{tier: string|null, url: string, size: number|null, version: string|null, integrity: object, reason: string}}
+ *   `tier` is null when the model has no variants; `size` is the declared size in MB;
+ *   `integrity` is the { sha256, sizeBytes } the download must match
+ */
+export function pickVariant(model, { tier, override = null, recommendedModelSize = Infinity }) {
+  const available = QUALITY_TIERS.filter(name => model.variants?.[name]?.url);
+  if (available.length === 0) {
+    return {
+      tier: null,
+      url: model.url,
+      size: model.size ?? null,
+      version: getContentVersion(model),
+      integrity: { sha256: model.sha256 ?? null, sizeBytes: model.sizeBytes ?? null },
+      reason: 'no variants'
+    };
+  }
+
+  let chosen;
+  let reason;
+  if (override && QUALITY_TIERS.includes(override)) {
+    // Closest available tier, preferring lower quality over higher
+    chosen = nearestTier(available, override);
+    reason = 'manual override';
+  } else {
+    // Highest tier the device supports whose download fits the recommended size
+    const maxIndex = QUALITY_TIERS.indexOf(tier);
+    const candidates = available.filter(name => QUALITY_TIERS.indexOf(name) <= maxIndex);
+    chosen = [...candidates].reverse().find(name => {
+      const size = model.variants[name].size;
+      return size == null || size <= recommendedModelSize;
+    });
+    reason = chosen ? 'device and size limits' : 'smallest available';
+    chosen = chosen || available[0];
+  }
+
+  const variant = model.variants[chosen];
+  return {
+    tier: chosen,
+    url: variant.url,
+    size: variant.size ?? null,
+    // Variants without their own version share the model's
+    version: getContentVersion(variant) ?? getContentVersion(model),
+    integrity: { sha256: variant.sha256 ?? null, sizeBytes: variant.sizeBytes ?? null },
+    reason
+  };
+}
+
+/**
+ * Every file URL a model may load (its `url` plus all variant URLs)
+ * @param {object} model - Model entry from config.models
+ * @returns {string[]}
+ */
+export function getModelUrls(model) {
+  const urls = [model.url, ...QUALITY_TIERS.map(name => model.variants?.[name]?.url)];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+/**
+ * Read the quality tier the user picked on this device (null = automatic)
+ */
+export function loadQualityOverride() {
+  try {
+    const value = localStorage.getItem(OVERRIDE_KEY);
+    return QUALITY_TIERS.includes(value) ? value : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Store the quality tier the user picked (null = automatic)
+ */
+export function saveQualityOverride(tier) {
+  try {
+    if (tier) {
+      localStorage.setItem(OVERRIDE_KEY, tier);
+    } else {
+      localStorage.removeItem(OVERRIDE_KEY);
+    }
+  } catch (_) { /* ignore */ }
+}
+
+function nearestTier(available, wanted) {
+  const wantedIndex = QUALITY_TIERS.indexOf(wanted);
+  const lower = available.filter(name => QUALITY_TIERS.indexOf(name) <= wantedIndex);
+  return lower.length > 0 ? lower[lower.length - 1] : available[0];
+}
@@ -0,0 +1,217 @@
+/**
+ * Scene Manager
+ * Placed models that stay in the scene next to the selected one (scene mode).
+ * The selected model is always the cached entity; every other placed model
+ * is an instance: a copy of the cached entity's node tree that shares its
+ * geometries, materials and textures. Instances are cheap, but they keep
+ * those resources alive: when the cache drops an entity that instances were
+ * copied from (reload at another quality, new content), its model tree is
+ * retained until the instances are re-pointed at the new entity (setSource)
+ * or removed.
+ */
+
+import { getLogger } from './logger.js';
+import { disposeObject3D } from './entity-cache.js';
+
+export class SceneManager {
+  /**
+   * @param {Element} container - Entity the instances are added to
+   * @param {object} options
+   * @param {number} options.maxObjects - Placed models allowed at once (selected one included)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.maxObjects = options.maxObjects ?? 10;
+    this.logger = getLogger();
+
+    // instanceId -> { id, modelId, config, entity, hitPosition, source }
+    // (source: the cached entity's model tree the instance was copied from)
+    this.instances = new Map();
+    this.nextId = 1;
+
+    // Model trees of entities the cache has dropped, still used by instances
+    this.retained = new Set();
+
+    // Called with each instance before it leaves the scene
+    this.onRemove = null;
+  }
+
+  get size() {
+    return this.instances.size;
+  }
+
+  /**
+   * Whether another model may be placed next to the selected one
+   */
+  hasRoom() {
+    return this.instances.size + 1 < this.maxObjects;
+  }
+
+  /**
+   * Leave a copy of a placed model in the scene
+   * @param {Element} source - Placed (cached) model entity
+   * @param {object} info
+   * @param {string} info.modelId
+   * @param {object} info.config - Model config
+   * @param {object} info.hitPosition - Raw hit the model was placed at
+   * @returns {object|null} Instance, null when the source has no mesh
+   */
+  add(source, { modelId, config, hitPosition }) {
+    const mesh = source.getObject3D('mesh');
+    if (!mesh) return null;
+
+    const id = this.nextId++;
+    const entity = document.createElement('a-entity');
+    entity.setAttribute('id', `model-instance-${id}`);
+    // Anchors move the object3D, not the position attribute
+    const { x, y, z } = source.object3D.position;
+    entity.setAttribute('position', { x, y, z });
+    ['rotation', 'scale'].forEach(name => {
+      const value = source.getAttribute(name);
+      entity.setAttribute(name, { x: value.x, y: value.y, z: value.z });
+    });
+    // Offsets, base scale and surface, for placement and gestures once selected
+    Object.assign(entity.dataset, source.dataset);
+    entity.object3D.userData.footprint = source.object3D.userData.footprint;
+    entity.setObject3D('mesh', mesh.clone());
+    this.container.appendChild(entity);
+
+    const instance = { id, modelId, config, entity, hitPosition: { ...hitPosition }, source: mesh };
+    this.instances.set(id, instance);
+    this.logger.info('SCENE', 'Model kept in scene', { instanceId: id, modelId, total: this.instances.size });
+    return instance;
+  }
+
+  /**
+   * Take an instance out of the scene (shared resources stay with the cached entity)
+   */
+  remove(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return false;
+    this.onRemove?.(instance);
+    instance.entity.parentNode?.removeChild(instance.entity);
+    this.instances.delete(id);
+    this._releaseUnused();
+    return true;
+  }
+
+  /**
+   * Keep the resources of a cached entity the cache is dropping, when
+   * instances were copied from it (see EntityCache.onDelete)
+   * @param {Element} entity - Cached entity being deleted
+   * @returns {boolean} True when the resources are retained
+   */
+  retain(entity) {
+    const mesh = entity.getObject3D('mesh');
+    const user = mesh && this.getInstances().find(instance => instance.source === mesh);
+    if (!user) return false;
+    this.retained.add(mesh);
+    this.logger.info('SCENE', 'Kept resources of a dropped model for its placed copies', { modelId: user.modelId });
+    return true;
+  }
+
+  /**
+   * Re-point an instance at a newly loaded cached entity of its model. The
+   * copy keeps its transform; its scale is carried over relative to the
+   * models' base scales and offsets come from the new entity.
+   * @param {object} instance
+   * @param {Element} source - Ready cached entity
+   * @returns {boolean} False when the instance already uses the entity
+   */
+  setSource(instance, source) {
+    const mesh = source.getObject3D('mesh');
+    if (!mesh || instance.source === mesh) return false;
+
+    const entity = instance.entity;
+    const oldBase = parseFloat(entity.dataset.baseScale) || 0;
+    const newBase = parseFloat(source.dataset.baseScale) || 0;
+    if (oldBase > 0 && newBase > 0) {
+      const factor = newBase / oldBase;
+      const scale = entity.getAttribute('scale');
+      entity.setAttribute('scale', { x: scale.x * factor, y: scale.y * factor, z: scale.z * factor });
+    }
+    const surface = entity.dataset.surface;
+    Object.assign(entity.dataset, source.dataset);
+    if (surface) entity.dataset.surface = surface;
+    entity.object3D.userData.footprint = source.object3D.userData.footprint;
+    entity.setObject3D('mesh', mesh.clone());
+    instance.source = mesh;
+    this._releaseUnused();
+    return true;
+  }
+
+  /**
+   * Remove every instance of a model (its cached entity is going away)
+   * @returns {number} Instances removed
+   */
+  removeModel(modelId) {
+    const ids = [...this.instances.values()]
+      .filter(instance => instance.modelId === modelId)
+      .map(instance => instance.id);
+    ids.forEach(id => this.remove(id));
+    if (ids.length > 0) {
+      this.logger.info('SCENE', 'Instances removed with their cached model', { modelId, count: ids.length });
+    }
+    return ids.length;
+  }
+
+  /**
+   * Instances, optionally only those of one model
+   * @param {string} modelId
+   */
+  getInstances(modelId = null) {
+    return [...this.instances.values()].filter(instance => !modelId || instance.modelId === modelId);
+  }
+
+  /**
+   * Instance whose entity owns an object (see getObjects)
+   * @param {THREE.Object3D} object3D - Entity object3D
+   */
+  findByObject(object3D) {
+    for (const instance of this.instances.values()) {
+      if (instance.entity.object3D === object3D) return instance;
+    }
+    return null;
+  }
+
+  /**
+   * Most recently added instance
+   */
+  getLast() {
+    return [...this.instances.values()].pop() || null;
+  }
+
+  /**
+   * Entity object3Ds of all instances (tap targets)
+   */
+  getObjects() {
+    return [...this.instances.values()].map(instance => instance.entity.object3D);
+  }
+
+  /**
+   * IDs of the models in use by instances (their cached entities must stay)
+   */
+  getModelIds() {
+    return [...new Set([...this.instances.values()].map(instance => instance.modelId))];
+  }
+
+  /**
+   * Remove all instances
+   */
+  clear() {
+    [...this.instances.keys()].forEach(id => this.remove(id));
+  }
+
+  /**
+   * Internal: dispose retained model trees no instance uses any more
+   */
+  _releaseUnused() {
+    for (const mesh of this.retained) {
+      if (this.getInstances().some(instance => instance.source === mesh)) continue;
+      this.retained.delete(mesh);
+      const environment = this.container.sceneEl?.object3D?.environment;
+      disposeObject3D(mesh, new Set(environment ? [environment] : []));
+      this.logger.info('SCENE', 'Released resources of a dropped model');
+    }
+  }
+}
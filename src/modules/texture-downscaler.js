@@ -0,0 +1,92 @@
+/**
+ * Texture Downscaler
+ * Shrinks the textures of a parsed model that exceed a size limit before they
+ * are uploaded to the GPU (callers await it before showing the model). An 8K
+ * texture needs ~350 MB of GPU memory with mipmaps; at 2048 it needs ~22 MB.
+ * Compressed (KTX2) and data textures are left untouched.
+ */
+
+/**
+ * Downscale every oversized image texture of an object tree
+ * @param {THREE.Object3D} object3D - Parsed model
+ * @param {number} maxSize - Largest allowed width/height in pixels
+ * @returns {Promise<{resized: Array<{name: string, from: string, to: string}>,
+ *   bytesBefore: number, bytesAfter: number}>} What changed and the estimated GPU memory
+ */
+export async function downscaleTextures(object3D, maxSize) {
+  const textures = new Set();
+  object3D.traverse(node => {
+    const materials = Array.isArray(node.material) ? node.material : [node.material];
+    materials.filter(Boolean).forEach(material => {
+      Object.values(material).forEach(value => {
+        if (value?.isTexture && !value.isCompressedTexture && !value.isDataTexture) {
+          textures.add(value);
+        }
+      });
+    });
+  });
+
+  const result = { resized: [], bytesBefore: 0, bytesAfter: 0 };
+  for (const texture of textures) {
+    const image = texture.image;
+    const width = image?.width || 0;
+    const height = image?.height || 0;
+    if (Math.max(width, height) <= maxSize) continue;
+
+    const scale = maxSize / Math.max(width, height);
+    const targetWidth = Math.max(1, Math.round(width * scale));
+    const targetHeight = Math.max(1, Math.round(height * scale));
+
+    try {
+      const resized = await resizeImage(image, targetWidth, targetHeight);
+      // Free any GPU copy of the full-size image, then upload the smaller one
+      texture.dispose();
+      image.close?.();
+      texture.image = resized;
+      texture.needsUpdate = true;
+    } catch (_) {
+      // Unsupported image source (e.g. a tainted canvas) - keep the original
+      continue;
+    }
+
+    result.resized.push({
+      name: texture.name || '(unnamed)',
+      from: `${width}×${height}`,
+      to: `${targetWidth}×${targetHeight}`
+    });
+    result.bytesBefore += textureBytes(width, height, texture.generateMipmaps);
+    result.bytesAfter += textureBytes(targetWidth, targetHeight, texture.generateMipmaps);
+  }
+  return result;
+}
+
+/**
+ * Internal: resize with createImageBitmap (same decode options as GLTFLoader),
+ * else draw onto a canvas
+ */
+async function resizeImage(image, width, height) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(image, {
+        resizeWidth: width,
+        resizeHeight: height,
+        resizeQuality: 'high',
+        premultiplyAlpha: 'none',
+        colorSpaceConversion: 'none'
+      });
+    } catch (_) { /* resize options unsupported - fall back to a canvas */ }
+  }
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, width, height);
+  return canvas;
+}
+
+function textureBytes(width, height, mipmaps) {
+  const base = width * height * 4;
+  return mipmaps ? Math.round(base * 4 / 3) : base;
+}
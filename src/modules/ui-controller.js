@@ -17,9 +17,20 @@ export class UIController {
     this.loadingState = document.getElementById('loading-state');
     this.toastContainer = document.getElementById('toast-container');
     this.surfaceStatus = document.getElementById('surface-status');
+    this.offlineBadge = document.getElementById('offline-badge');
+    this.modelInfoBtn = document.getElementById('model-info-btn');
+    this.modelInfoSheet = document.getElementById('model-info');
     
     this.instructionTimeout = null;
     this.currentInstructionState = null; // Track current instruction state
+    
+    // Validation report of the active model ({ name, report }) shown in the info sheet
+    this.modelInfo = null;
+    this.modelInfoBtn?.addEventListener('click', () => this.showModelInfo());
+    document.getElementById('model-info-close')?.addEventListener('click', () => this.hideModelInfo());
+    this.modelInfoSheet?.addEventListener('click', (e) => {
+      if (e.target === this.modelInfoSheet) this.hideModelInfo();
+    });
   }
 
   /**
@@ -333,6 +344,47 @@ export class UIController {
     return toast;
   }
 
+  /**
+   * Ask the user to confirm an action in a modal dialog
+   * @param {string} message - Question to show
+   * @param {object} options
+   * @param {string} options.title - Dialog title
+   * @param {string} options.confirmText - Label of the confirm button
+   * @param {string} options.cancelText - Label of the cancel button
+   * @returns {Promise<boolean>} True when confirmed
+   */
+  showConfirm(message, options = {}) {
+    const { title = 'Confirm', confirmText = 'OK', cancelText = 'Cancel' } = options;
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-overlay';
+    overlay.innerHTML = `
+      <div class="confirm-dialog">
+        <h3 class="confirm-title"></h3>
+        <p class="confirm-message"></p>
+        <div class="confirm-actions">
+          <button type="button" class="confirm-btn confirm-cancel"></button>
+          <button type="button" class="confirm-btn confirm-ok"></button>
+        </div>
+      </div>
+    `;
+    overlay.querySelector('.confirm-title').textContent = title;
+    overlay.querySelector('.confirm-message').textContent = message;
+    overlay.querySelector('.confirm-cancel').textContent = cancelText;
+    overlay.querySelector('.confirm-ok').textContent = confirmText;
+    
+    (this.uiOverlay || document.body).appendChild(overlay);
+    
+    return new Promise(resolve => {
+      const close = (result) => {
+        overlay.remove();
+        resolve(result);
+      };
+      overlay.querySelector('.confirm-ok').addEventListener('click', () => close(true));
+      overlay.querySelector('.confirm-cancel').addEventListener('click', () => close(false));
+    });
+  }
+
   /**
    * Update model status
    */
@@ -343,6 +395,120 @@ export class UIController {
     }
   }
 
+  /**
+   * Show parsed-entity cache usage in the debug panel
+   * @param {object} stats - EntityCache.getStats()
+   */
+  updateEntityCacheStatus(stats) {
+    const cacheStatus = document.getElementById('entity-cache-status');
+    if (cacheStatus) {
+      const mb = bytes => Math.round(bytes / (1024 * 1024));
+      cacheStatus.textContent = `${stats.ready} models, ${mb(stats.totalBytes)}/${mb(stats.maxBytes)} MB` +
+        (stats.evictions ? `, ${stats.evictions} evicted` : '');
+    }
+  }
+
+  /**
+   * Set (or clear with null) the validation report behind the Info button.
+   * The button is flagged when the report has errors or warnings.
+   * @param {string|null} modelName - Active model name
+   * @param {object|null} report - From createValidationReport()
+   */
+  setModelInfo(modelName, report) {
+    this.modelInfo = report ? { name: modelName, report } : null;
+    if (!this.modelInfoBtn) return;
+    
+    this.modelInfoBtn.classList.toggle('hidden', !report);
+    this.modelInfoBtn.classList.toggle('has-errors', !!report && report.counts.errors > 0);
+    this.modelInfoBtn.classList.toggle('has-warnings', !!report && report.counts.errors === 0 && report.counts.warnings > 0);
+    if (!report) this.hideModelInfo();
+  }
+
+  /**
+   * Open the model info sheet (stats and validation issues)
+   */
+  showModelInfo() {
+    if (!this.modelInfo || !this.modelInfoSheet) return;
+    const { name, report } = this.modelInfo;
+    const { stats } = report;
+    
+    document.getElementById('model-info-title').textContent = name;
+    const content = document.getElementById('model-info-content');
+    content.innerHTML = '';
+    
+    const statRows = [
+      ['Triangles', stats.triangles.toLocaleString()],
+      ['Draw calls', stats.drawCalls],
+      ['Meshes', stats.meshes],
+      ['Materials', stats.materials],
+      ['Textures', stats.textures]
+    ];
+    if (stats.size) {
+      statRows.push(['Native size', `${stats.size.x} × ${stats.size.y} × ${stats.size.z}`]);
+    }
+    const statList = document.createElement('dl');
+    statList.className = 'model-info-stats';
+    for (const [label, value] of statRows) {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      statList.append(term, detail);
+    }
+    content.appendChild(statList);
+    
+    const issueList = document.createElement('ul');
+    issueList.className = 'model-info-issues';
+    if (report.issues.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'ok';
+      item.textContent = 'No problems found';
+      issueList.appendChild(item);
+    }
+    // Errors first, then warnings, then notes
+    const order = { error: 0, warning: 1, info: 2 };
+    [...report.issues].sort((a, b) => order[a.level] - order[b.level]).forEach(issue => {
+      const item = document.createElement('li');
+      item.className = issue.level;
+      item.textContent = issue.message;
+      issueList.appendChild(item);
+    });
+    content.appendChild(issueList);
+    
+    this.modelInfoSheet.classList.remove('hidden');
+    requestAnimationFrame(() => this.modelInfoSheet.classList.add('visible'));
+  }
+
+  /**
+   * Close the model info sheet
+   */
+  hideModelInfo() {
+    if (!this.modelInfoSheet || this.modelInfoSheet.classList.contains('hidden')) return;
+    this.modelInfoSheet.classList.remove('visible');
+    setTimeout(() => this.modelInfoSheet.classList.add('hidden'), 250);
+  }
+
+  /**
+   * Flag that the catalog comes from the locally stored offline snapshot
+   * @param {number} savedAt - Timestamp when the snapshot was fetched from the backend
+   */
+  showOfflineBadge(savedAt) {
+    if (!this.offlineBadge) return;
+    const text = this.offlineBadge.querySelector('.offline-badge-text');
+    if (text) {
+      const date = new Date(savedAt);
+      text.textContent = `Offline catalog from ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    this.offlineBadge.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the offline catalog badge (live backend config in use)
+   */
+  hideOfflineBadge() {
+    this.offlineBadge?.classList.add('hidden');
+  }
+
   /**
    * Toggle debug info
    */
@@ -467,10 +633,26 @@ export class UIController {
 
   /**
    * Update model loading progress
+   * @param {HTMLElement} indicator - Indicator returned by createModelLoadingIndicator
+   * @param {number} percent - Progress percentage, or -1 when the total size is unknown
+   * @param {number} receivedBytes - Bytes received so far
+   * @param {object} retryState - Set while a dropped download waits to reconnect
    */
-  updateModelLoadingProgress(indicator, percent, receivedBytes = null) {
+  updateModelLoadingProgress(indicator, percent, receivedBytes = null, retryState = null) {
     const progressBar = indicator.querySelector('.progress-bar');
     const progressPercent = indicator.querySelector('.progress-percent');
+    const statusText = indicator.querySelector('.loading-bottom-content p');
+    
+    // Swap the status line between "Loading" and "Reconnecting" states
+    if (statusText) {
+      if (retryState?.retrying) {
+        statusText.textContent = `Reconnecting… (attempt ${retryState.attempt + 1} of ${retryState.maxAttempts})`;
+        indicator.classList.add('reconnecting');
+      } else if (indicator.classList.contains('reconnecting')) {
+        statusText.textContent = 'Loading model...';
+        indicator.classList.remove('reconnecting');
+      }
+    }
     
     if (percent < 0) {
       // Indeterminate mode (no Content-Length header)
@@ -599,6 +781,19 @@ export class UIController {
       surfaceStatus.classList.toggle('loading-hidden', !enabled);
     }
     
+    // Scene toolbar (scene mode) is hidden while loading
+    const sceneToolbar = document.getElementById('scene-toolbar');
+    if (sceneToolbar) {
+      sceneToolbar.classList.toggle('loading-hidden', !enabled);
+    }
+    
+    // Occlusion toggle follows the other controls; it stays hidden when unsupported
+    const occlusionBtn = document.getElementById('occlusion-btn');
+    if (occlusionBtn) {
+      occlusionBtn.disabled = !enabled;
+      occlusionBtn.classList.toggle('loading-hidden', !enabled);
+    }
+    
     // Hide Layer button and close popup during loading
     const layerToggleBtn = document.getElementById('layer-toggle-btn');
     if (layerToggleBtn && !enabled) {
@@ -1,7 +1,53 @@
 import { defineConfig } from 'vite';
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync, createReadStream } from 'fs';
+import { resolve } from 'path';
 import basicSsl from '@vitejs/plugin-basic-ssl';
 
+// Decoders for compressed glTF (Draco geometry, Meshopt geometry, KTX2/Basis
+// textures), served from /decoders/ so models never depend on a CDN.
+// Paths must match the gltf-model attribute on <a-scene> in index.html.
+// Draco and Basis come from `three-decoders`, an alias of the super-three
+// release bundled with the A-Frame build index.html loads (1.5.0 -> 0.158.0),
+// so they match its GLTFLoader/KTX2Loader. Bump both together.
+const GLTF_DECODERS = {
+  'draco/draco_decoder.js': 'three-decoders/examples/jsm/libs/draco/gltf/draco_decoder.js',
+  'draco/draco_decoder.wasm': 'three-decoders/examples/jsm/libs/draco/gltf/draco_decoder.wasm',
+  'draco/draco_wasm_wrapper.js': 'three-decoders/examples/jsm/libs/draco/gltf/draco_wasm_wrapper.js',
+  'basis/basis_transcoder.js': 'three-decoders/examples/jsm/libs/basis/basis_transcoder.js',
+  'basis/basis_transcoder.wasm': 'three-decoders/examples/jsm/libs/basis/basis_transcoder.wasm',
+  // Classic-script build: A-Frame loads it with a <script> tag and reads window.MeshoptDecoder
+  'meshopt/meshopt_decoder.js': 'meshoptimizer/meshopt_decoder.cjs'
+};
+
+function resolveDecoder(source) {
+  const file = resolve('node_modules', source);
+  return existsSync(file) ? file : null;
+}
+
+function gltfDecoders() {
+  return {
+    name: 'gltf-decoders',
+    configureServer(server) {
+      server.middlewares.use('/decoders', (req, res, next) => {
+        const file = resolveDecoder(GLTF_DECODERS[req.url.split('?')[0].slice(1)] || '');
+        if (!file) return next();
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        createReadStream(file).pipe(res);
+      });
+    },
+    generateBundle() {
+      for (const [target, source] of Object.entries(GLTF_DECODERS)) {
+        const file = resolveDecoder(source);
+        if (!file) {
+          this.warn(`glTF decoder not found: ${source} (compressed models will fail to load)`);
+          continue;
+        }
+        this.emitFile({ type: 'asset', fileName: `decoders/${target}`, source: readFileSync(file) });
+      }
+    }
+  };
+}
+
 // Try to use custom certificates for better security, fallback to basic SSL
 let httpsOptions = true; // Use basicSsl by default
 try {
@@ -17,13 +63,22 @@ try {
 export default defineConfig({
   plugins: [
     // HTTPS is required for WebXR
-    basicSsl()
+    basicSsl(),
+    gltfDecoders()
   ],
   server: {
     https: httpsOptions,
     host: true,
     port: 3000,
     proxy: {
+      // Live catalog event stream - point at a local stub with CATALOG_EVENTS_TARGET
+      // (must come before '/api' so it wins the prefix match)
+      ...(process.env.CATALOG_EVENTS_TARGET && {
+        '/api/config/events': {
+          target: process.env.CATALOG_EVENTS_TARGET,
+          changeOrigin: true
+        }
+      }),
       // Proxy backend requests during development
       // Backend: https://api.ardemo.co.za
       '/api': {